@@ -0,0 +1,77 @@
+// Conversion worker: renders and encodes PDF pages on OffscreenCanvas so the UI
+// thread stays responsive. Protocol (main -> worker):
+//   { type: "convert", docs: ArrayBuffer[], settings }
+// (worker -> main):
+//   { type: "ready" } once every PDF has opened,
+//   { type: "page", page }, { type: "progress", pct, text },
+//   { type: "done", parts }, { type: "error", message }
+import * as pdfjsLib from "pdfjs-dist";
+import { convertPdfPages } from "./pipeline.js";
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
+  "pdfjs-dist/build/pdf.worker.min.mjs",
+  import.meta.url
+).toString();
+
+// pdf.js defaults to document.createElement("canvas") for scratch canvases.
+class OffscreenCanvasFactory {
+  create(width, height) {
+    if (width <= 0 || height <= 0) throw new Error("Invalid canvas size");
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d", { willReadFrequently: true }) };
+  }
+
+  reset(canvasAndContext, width, height) {
+    if (!canvasAndContext.canvas) throw new Error("Canvas is not specified");
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    if (!canvasAndContext.canvas) throw new Error("Canvas is not specified");
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+function openPdf(data) {
+  return pdfjsLib.getDocument({
+    data,
+    CanvasFactory: OffscreenCanvasFactory,
+    isOffscreenCanvasSupported: true,
+    // No `document.fonts` in workers: draw glyphs as paths instead.
+    disableFontFace: true
+  }).promise;
+}
+
+async function convert(docs, settings) {
+  const pdfDocs = [];
+  try {
+    for (const data of docs) pdfDocs.push(await openPdf(data));
+    self.postMessage({ type: "ready" });
+
+    const parts = await convertPdfPages(pdfDocs, settings, {
+      onPage: (page) => self.postMessage({ type: "page", page }),
+      onProgress: (pct, text) => self.postMessage({ type: "progress", pct, text })
+    });
+    self.postMessage({ type: "done", parts });
+  } finally {
+    for (const pdfDoc of pdfDocs) {
+      try {
+        await pdfDoc.destroy();
+      } catch {
+        // ignore
+      }
+    }
+  }
+}
+
+self.addEventListener("message", (e) => {
+  const msg = e.data;
+  if (msg?.type !== "convert") return;
+  convert(msg.docs, msg.settings).catch((err) => {
+    self.postMessage({ type: "error", message: err?.message ? String(err.message) : "Conversion failed." });
+  });
+});
@@ -0,0 +1,338 @@
+// Pixel-level encoders for formats the browser can't write the way we need: indexed /
+// grayscale PNG (palette reduction for size fitting) and baseline TIFF, including
+// multi-page files. Works on ImageData-like { width, height, data } in the main thread
+// and in the conversion worker.
+
+// --- zlib -------------------------------------------------------------------------------
+
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; ) {
+    const end = Math.min(bytes.length, i + 5552);
+    for (; i < end; i++) {
+      a += bytes[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+// Uncompressed ("stored") zlib stream for environments without CompressionStream.
+function zlibStored(bytes) {
+  const blocks = Math.max(1, Math.ceil(bytes.length / 65535));
+  const out = new Uint8Array(2 + blocks * 5 + bytes.length + 4);
+  out[0] = 0x78;
+  out[1] = 0x01;
+  let o = 2;
+  for (let i = 0; i < blocks; i++) {
+    const chunk = bytes.subarray(i * 65535, Math.min(bytes.length, (i + 1) * 65535));
+    out[o++] = i === blocks - 1 ? 1 : 0;
+    out[o++] = chunk.length & 0xff;
+    out[o++] = chunk.length >> 8;
+    out[o++] = ~chunk.length & 0xff;
+    out[o++] = (~chunk.length >> 8) & 0xff;
+    out.set(chunk, o);
+    o += chunk.length;
+  }
+  new DataView(out.buffer).setUint32(o, adler32(bytes));
+  return out;
+}
+
+async function zlib(bytes) {
+  if (typeof CompressionStream === "undefined") return zlibStored(bytes);
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// --- pixels -----------------------------------------------------------------------------
+
+export function isGrayscale({ data }) {
+  for (let j = 0; j < data.length; j += 4) {
+    if (data[j] !== data[j + 1] || data[j] !== data[j + 2]) return false;
+  }
+  return true;
+}
+
+// Median-cut palette of up to `colors` entries from a pixel sample, plus a lookup from
+// 15-bit RGB to palette index so mapping the full image stays cheap.
+function buildPalette({ data }, colors) {
+  const step = Math.max(1, Math.floor(data.length / 4 / 100_000)) * 4;
+  const sample = [];
+  for (let j = 0; j < data.length; j += step) sample.push([data[j], data[j + 1], data[j + 2]]);
+
+  let boxes = [sample];
+  while (boxes.length < colors) {
+    let pick = -1;
+    let pickRange = 0;
+    let pickCh = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      for (let ch = 0; ch < 3; ch++) {
+        let lo = 255;
+        let hi = 0;
+        for (const px of box) {
+          if (px[ch] < lo) lo = px[ch];
+          if (px[ch] > hi) hi = px[ch];
+        }
+        if (hi - lo > pickRange) {
+          pick = i;
+          pickRange = hi - lo;
+          pickCh = ch;
+        }
+      }
+    });
+    if (pick < 0) break;
+    const box = boxes[pick].sort((a, b) => a[pickCh] - b[pickCh]);
+    const mid = box.length >> 1;
+    boxes.splice(pick, 1, box.slice(0, mid), box.slice(mid));
+  }
+
+  const palette = boxes.map((box) => {
+    const sum = [0, 0, 0];
+    for (const px of box) for (let ch = 0; ch < 3; ch++) sum[ch] += px[ch];
+    return sum.map((v) => Math.round(v / Math.max(1, box.length)));
+  });
+
+  const lookup = new Int16Array(32768).fill(-1);
+  const indexOf = (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (lookup[key] >= 0) return lookup[key];
+    let best = 0;
+    let bestDist = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      const [pr, pg, pb] = palette[i];
+      const dist = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = i;
+      }
+    }
+    lookup[key] = best;
+    return best;
+  };
+  return { palette, indexOf };
+}
+
+// --- PNG --------------------------------------------------------------------------------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, body) {
+  const out = new Uint8Array(12 + body.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, body.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(body, 8);
+  view.setUint32(8 + body.length, crc32(out.subarray(4, 8 + body.length)));
+  return out;
+}
+
+function pngFile(width, height, bitDepth, colorType, rows, extraChunks) {
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  return zlib(rows).then((idat) => {
+    const parts = [
+      new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk("IHDR", ihdr),
+      ...extraChunks,
+      pngChunk("IDAT", idat),
+      pngChunk("IEND", new Uint8Array(0))
+    ];
+    return new Blob(parts, { type: "image/png" });
+  });
+}
+
+// Lossless 8-bit grayscale PNG (a third of the RGB data for scans with no colour).
+export function encodeGrayPng(image) {
+  const { width, height, data } = image;
+  const rows = new Uint8Array((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const o = y * (width + 1);
+    rows[o] = 2; // "Up" filter: scanned text compresses far better as row deltas
+    for (let x = 0; x < width; x++) {
+      const j = (y * width + x) * 4;
+      const up = y ? data[j - width * 4] : 0;
+      rows[o + 1 + x] = (data[j] - up) & 0xff;
+    }
+  }
+  return pngFile(width, height, 8, 0, rows, []);
+}
+
+// Palette PNG with at most `colors` entries (2–256); fewer colours pack into 1/2/4 bits.
+export function encodeIndexedPng(image, colors) {
+  const { width, height, data } = image;
+  const { palette, indexOf } = buildPalette(image, colors);
+  const bitDepth = palette.length <= 2 ? 1 : palette.length <= 4 ? 2 : palette.length <= 16 ? 4 : 8;
+  const perByte = 8 / bitDepth;
+  const stride = Math.ceil(width / perByte);
+  const rows = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const o = y * (stride + 1) + 1;
+    for (let x = 0; x < width; x++) {
+      const j = (y * width + x) * 4;
+      const idx = indexOf(data[j], data[j + 1], data[j + 2]);
+      const shift = 8 - bitDepth * ((x % perByte) + 1);
+      rows[o + Math.floor(x / perByte)] |= idx << shift;
+    }
+  }
+  const plte = new Uint8Array(palette.length * 3);
+  palette.forEach((c, i) => plte.set(c, i * 3));
+  return pngFile(width, height, bitDepth, 3, rows, [pngChunk("PLTE", plte)]);
+}
+
+// --- TIFF -------------------------------------------------------------------------------
+// Baseline little-endian TIFF, one Deflate-compressed strip per page with horizontal
+// differencing (predictor 2). Gray pages are stored with one sample per pixel.
+
+const TIFF_TAGS = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  photometric: 262,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  xResolution: 282,
+  yResolution: 283,
+  planarConfig: 284,
+  resolutionUnit: 296,
+  predictor: 317
+};
+
+// Returns a page record for writeTiff(): { width, height, samples, dpi, data } where data is
+// the compressed strip.
+export async function encodeTiffPage(image, dpi) {
+  const { width, height, data } = image;
+  const samples = isGrayscale(image) ? 1 : 3;
+  const raw = new Uint8Array(width * height * samples);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const j = (y * width + x) * 4;
+      const o = (y * width + x) * samples;
+      for (let s = 0; s < samples; s++) {
+        const left = x ? data[j - 4 + s] : 0;
+        raw[o + s] = (data[j + s] - left) & 0xff;
+      }
+    }
+  }
+  return { width, height, samples, dpi: Math.round(dpi || 72), data: await zlib(raw) };
+}
+
+export function writeTiff(pages) {
+  // Layout per page: strip data, then IFD, then out-of-line values (BitsPerSample, rationals).
+  const ENTRY_COUNT = 14;
+  let size = 8;
+  const offsets = pages.map((p) => {
+    const dataAt = size;
+    size += p.data.length + (p.data.length & 1);
+    const ifdAt = size;
+    size += 2 + ENTRY_COUNT * 12 + 4;
+    const extraAt = size;
+    size += 6 + 16;
+    return { dataAt, ifdAt, extraAt };
+  });
+
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  out.set([0x49, 0x49, 42, 0]);
+  view.setUint32(4, offsets[0]?.ifdAt ?? 0, true);
+
+  pages.forEach((p, i) => {
+    const { dataAt, ifdAt, extraAt } = offsets[i];
+    out.set(p.data, dataAt);
+    const bitsAt = extraAt;
+    const xResAt = extraAt + 6;
+    const yResAt = extraAt + 14;
+    for (let s = 0; s < 3; s++) view.setUint16(bitsAt + s * 2, 8, true);
+    view.setUint32(xResAt, p.dpi, true);
+    view.setUint32(xResAt + 4, 1, true);
+    view.setUint32(yResAt, p.dpi, true);
+    view.setUint32(yResAt + 4, 1, true);
+
+    const SHORT = 3;
+    const LONG = 4;
+    const RATIONAL = 5;
+    const entries = [
+      [TIFF_TAGS.width, LONG, 1, p.width],
+      [TIFF_TAGS.height, LONG, 1, p.height],
+      [TIFF_TAGS.bitsPerSample, SHORT, p.samples, p.samples === 1 ? 8 : bitsAt],
+      [TIFF_TAGS.compression, SHORT, 1, 8],
+      [TIFF_TAGS.photometric, SHORT, 1, p.samples === 1 ? 1 : 2],
+      [TIFF_TAGS.stripOffsets, LONG, 1, dataAt],
+      [TIFF_TAGS.samplesPerPixel, SHORT, 1, p.samples],
+      [TIFF_TAGS.rowsPerStrip, LONG, 1, p.height],
+      [TIFF_TAGS.stripByteCounts, LONG, 1, p.data.length],
+      [TIFF_TAGS.xResolution, RATIONAL, 1, xResAt],
+      [TIFF_TAGS.yResolution, RATIONAL, 1, yResAt],
+      [TIFF_TAGS.planarConfig, SHORT, 1, 1],
+      [TIFF_TAGS.resolutionUnit, SHORT, 1, 2],
+      [TIFF_TAGS.predictor, SHORT, 1, 2]
+    ];
+    view.setUint16(ifdAt, entries.length, true);
+    entries.forEach(([tag, type, count, value], k) => {
+      const e = ifdAt + 2 + k * 12;
+      view.setUint16(e, tag, true);
+      view.setUint16(e + 2, type, true);
+      view.setUint32(e + 4, count, true);
+      if (type === SHORT && count === 1) view.setUint16(e + 8, value, true);
+      else view.setUint32(e + 8, value, true);
+    });
+    view.setUint32(ifdAt + 2 + entries.length * 12, offsets[i + 1]?.ifdAt ?? 0, true);
+  });
+  return new Blob([out], { type: "image/tiff" });
+}
+
+// Reads back page records from files written by writeTiff(), e.g. to merge single-page
+// TIFFs into one multi-page file.
+export function readTiffPages(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint16(0, true) !== 0x4949 || view.getUint16(2, true) !== 42) {
+    throw new Error("Not a TIFF written by this app.");
+  }
+  const pages = [];
+  for (let ifd = view.getUint32(4, true); ifd; ) {
+    const count = view.getUint16(ifd, true);
+    const tags = {};
+    for (let k = 0; k < count; k++) {
+      const e = ifd + 2 + k * 12;
+      const type = view.getUint16(e + 2, true);
+      const n = view.getUint32(e + 4, true);
+      tags[view.getUint16(e, true)] = type === 3 && n === 1 ? view.getUint16(e + 8, true) : view.getUint32(e + 8, true);
+    }
+    const offset = tags[TIFF_TAGS.stripOffsets];
+    const length = tags[TIFF_TAGS.stripByteCounts];
+    pages.push({
+      width: tags[TIFF_TAGS.width],
+      height: tags[TIFF_TAGS.height],
+      samples: tags[TIFF_TAGS.samplesPerPixel],
+      dpi: tags[TIFF_TAGS.xResolution] ? view.getUint32(tags[TIFF_TAGS.xResolution], true) : 72,
+      data: bytes.slice(offset, offset + length)
+    });
+    ifd = view.getUint32(ifd + 2 + count * 12, true);
+  }
+  return pages;
+}
@@ -0,0 +1,240 @@
+// EXIF in JPEG files: read the tags the app shows or acts on, and write them back into an
+// encoded JPEG as one of the metadata modes below. Pure byte handling, so the web app and
+// the CLI produce the same metadata for the same input and mode.
+
+// strip: no metadata (default). safe: camera, capture date and DPI only. all: the source's
+// whole EXIF block, GPS and maker notes included. Orientation is always written as 1 (or
+// not at all): outputs are rotated upright before encoding.
+export const METADATA_MODES = Object.freeze(["strip", "safe", "all"]);
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0, 0]; // "Exif\0\0"
+const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+const TAG_MAKE = 0x010f;
+const TAG_MODEL = 0x0110;
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATETIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+// "safe" mode keeps these IFD0 tags (Make, Model, X/YResolution, ResolutionUnit, DateTime)
+// and DateTimeOriginal from the Exif IFD.
+const SAFE_IFD0_TAGS = [TAG_MAKE, TAG_MODEL, 0x011a, 0x011b, 0x0128, TAG_DATETIME];
+const SAFE_EXIF_TAGS = [TAG_DATETIME_ORIGINAL];
+
+function isExifPayload(bytes, start) {
+  return EXIF_HEADER.every((b, i) => bytes[start + i] === b);
+}
+
+// Calls visit(marker, start, end) for each JPEG segment before the image data, where
+// start..end is the payload after the length field; stops early when visit returns true.
+function walkSegments(bytes, visit) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return;
+  let pos = 2;
+  while (pos + 4 <= bytes.length && bytes[pos] === 0xff) {
+    const marker = bytes[pos + 1];
+    if (marker === 0xda || marker === 0xd9) return; // start of scan / end of image
+    const end = pos + 2 + ((bytes[pos + 2] << 8) | bytes[pos + 3]);
+    if (end > bytes.length || visit(marker, pos + 4, end)) return;
+    pos = end;
+  }
+}
+
+// The TIFF structure inside a JPEG's EXIF segment (APP1), or null if it has none.
+export function readJpegExif(bytes) {
+  let tiff = null;
+  walkSegments(bytes, (marker, start, end) => {
+    if (marker !== 0xe1 || !isExifPayload(bytes, start)) return false;
+    tiff = bytes.subarray(start + EXIF_HEADER.length, end);
+    return true;
+  });
+  return tiff;
+}
+
+// The JPEG without its EXIF segments, so a decoder can't apply the orientation on its own.
+export function stripJpegExif(bytes) {
+  const cuts = [];
+  walkSegments(bytes, (marker, start, end) => {
+    if (marker === 0xe1 && isExifPayload(bytes, start)) cuts.push([start - 4, end]);
+    return false;
+  });
+  if (!cuts.length) return bytes;
+  const parts = [];
+  let from = 0;
+  for (const [start, end] of cuts) {
+    parts.push(bytes.subarray(from, start));
+    from = end;
+  }
+  parts.push(bytes.subarray(from));
+  return concat(parts);
+}
+
+// `segment` (from exifSegment) inserted into an encoded JPEG, after the JFIF header if any.
+export function insertJpegSegment(jpeg, segment) {
+  if (!segment) return jpeg;
+  let at = 2;
+  walkSegments(jpeg, (marker, start, end) => {
+    if (marker === 0xe0) at = end;
+    return true;
+  });
+  return concat([jpeg.subarray(0, at), segment, jpeg.subarray(at)]);
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+function tiffReader(tiff) {
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const little = tiff[0] === 0x49; // "II"; "MM" is big-endian
+  if (tiff.length < 8 || (!little && tiff[0] !== 0x4d) || view.getUint16(2, little) !== 42) return null;
+  const u16 = (pos) => view.getUint16(pos, little);
+  const u32 = (pos) => view.getUint32(pos, little);
+  // Entries of the IFD at `offset`: { tag, type, count, at, size }, `at` being where the
+  // value starts (inline or out of line) and `size` its byte length.
+  const entries = (offset) => {
+    if (!offset || offset + 2 > tiff.length) return [];
+    const out = [];
+    const n = u16(offset);
+    for (let i = 0; i < n; i++) {
+      const pos = offset + 2 + i * 12;
+      if (pos + 12 > tiff.length) break;
+      const type = u16(pos + 2);
+      const count = u32(pos + 4);
+      const size = (TYPE_SIZES[type] ?? 0) * count;
+      const at = size > 4 ? u32(pos + 8) : pos + 8;
+      if (!size || at + size > tiff.length) continue;
+      out.push({ tag: u16(pos), type, count, at, size });
+    }
+    return out;
+  };
+  const ascii = (e) => {
+    let s = "";
+    for (let i = e.at; i < e.at + e.count && tiff[i]; i++) s += String.fromCharCode(tiff[i]);
+    return s.trim();
+  };
+  const number = (e) => (e.type === 3 ? u16(e.at) : u32(e.at));
+  return { little, u32, entries, ascii, number };
+}
+
+// { orientation, make, model, date, hasGps, tiff } from an EXIF TIFF block (readJpegExif, or
+// sharp's metadata().exif without its "Exif\0\0" header); null if it can't be read. date
+// is the capture time as "YYYY-MM-DD HH:MM:SS" (original, else last modified).
+export function parseExif(tiff) {
+  const r = tiff && tiffReader(tiff);
+  if (!r) return null;
+  const ifd0 = r.entries(r.u32(4));
+  const find = (list, tag) => list.find((e) => e.tag === tag);
+  const exifIfd = find(ifd0, TAG_EXIF_IFD);
+  const exif = exifIfd ? r.entries(r.number(exifIfd)) : [];
+  const text = (e) => (e && e.type === 2 ? r.ascii(e) : "");
+  const orientation = find(ifd0, TAG_ORIENTATION);
+  const date = text(find(exif, TAG_DATETIME_ORIGINAL)) || text(find(ifd0, TAG_DATETIME));
+  return {
+    orientation: clampOrientation(orientation ? r.number(orientation) : 1),
+    make: text(find(ifd0, TAG_MAKE)),
+    model: text(find(ifd0, TAG_MODEL)),
+    date: date.replace(/^(\d{4}):(\d{2}):(\d{2})/, "$1-$2-$3"),
+    hasGps: !!find(ifd0, TAG_GPS_IFD),
+    tiff
+  };
+}
+
+function clampOrientation(n) {
+  return n >= 1 && n <= 8 ? n : 1;
+}
+
+// The APP1 segment to write for `mode` (see METADATA_MODES), or null when there's nothing to
+// write. `exif` is a parseExif() result.
+export function exifSegment(exif, mode) {
+  if (!exif || mode === "strip") return null;
+  const tiff = mode === "all" ? uprightCopy(exif.tiff) : safeSubset(exif.tiff);
+  if (!tiff || tiff.length > 0xffff - 8) return null;
+  const length = 2 + EXIF_HEADER.length + tiff.length;
+  return concat([new Uint8Array([0xff, 0xe1, length >> 8, length & 0xff, ...EXIF_HEADER]), tiff]);
+}
+
+// The whole block with Orientation patched to 1 in place (offsets stay valid).
+function uprightCopy(tiff) {
+  const copy = Uint8Array.from(tiff); // not slice(): on a Node Buffer that's a view
+  const r = tiffReader(copy);
+  const entry = r.entries(r.u32(4)).find((e) => e.tag === TAG_ORIENTATION && e.type === 3);
+  if (entry) new DataView(copy.buffer).setUint16(entry.at, 1, r.little);
+  return copy;
+}
+
+// A new TIFF block, in the source's byte order, holding only the SAFE_* tags.
+function safeSubset(tiff) {
+  const r = tiffReader(tiff);
+  const ifd0 = r.entries(r.u32(4));
+  const exifIfd = ifd0.find((e) => e.tag === TAG_EXIF_IFD);
+  const pick = (list, tags) => list.filter((e) => tags.includes(e.tag));
+  const main = pick(ifd0, SAFE_IFD0_TAGS);
+  const sub = exifIfd ? pick(r.entries(r.number(exifIfd)), SAFE_EXIF_TAGS) : [];
+  if (!main.length && !sub.length) return null;
+
+  const ifdSize = (n) => 2 + n * 12 + 4;
+  const dataSize = (list) => list.reduce((n, e) => n + (e.size > 4 ? e.size + (e.size & 1) : 0), 0);
+  const mainCount = main.length + (sub.length ? 1 : 0);
+  const subOffset = 8 + ifdSize(mainCount) + dataSize(main);
+  const out = new Uint8Array(subOffset + (sub.length ? ifdSize(sub.length) + dataSize(sub) : 0));
+  const view = new DataView(out.buffer);
+  const le = r.little;
+  out.set(tiff.subarray(0, 4));
+  view.setUint32(4, 8, le);
+
+  // Writes an IFD at `offset` (entries sorted by tag) with out-of-line values after it.
+  const writeIfd = (offset, list, extra) => {
+    const all = [...list, ...extra].sort((a, b) => a.tag - b.tag);
+    view.setUint16(offset, all.length, le);
+    let data = offset + ifdSize(all.length);
+    all.forEach((e, i) => {
+      const pos = offset + 2 + i * 12;
+      view.setUint16(pos, e.tag, le);
+      view.setUint16(pos + 2, e.type, le);
+      view.setUint32(pos + 4, e.count, le);
+      if (e.value != null) {
+        view.setUint32(pos + 8, e.value, le);
+      } else if (e.size > 4) {
+        out.set(tiff.subarray(e.at, e.at + e.size), data);
+        view.setUint32(pos + 8, data, le);
+        data += e.size + (e.size & 1);
+      } else {
+        out.set(tiff.subarray(e.at, e.at + e.size), pos + 8);
+      }
+    });
+    view.setUint32(offset + 2 + all.length * 12, 0, le); // no next IFD
+  };
+  writeIfd(8, main, sub.length ? [{ tag: TAG_EXIF_IFD, type: 4, count: 1, value: subOffset }] : []);
+  if (sub.length) writeIfd(subOffset, sub, []);
+  return out;
+}
+
+// Canvas transform [a, b, c, d, e, f] that draws a `width`×`height` decoded image upright
+// for an EXIF orientation (1–8); orientations 5–8 swap the output's width and height.
+export function orientationTransform(orientation, width, height) {
+  switch (orientation) {
+    case 2:
+      return [-1, 0, 0, 1, width, 0];
+    case 3:
+      return [-1, 0, 0, -1, width, height];
+    case 4:
+      return [1, 0, 0, -1, 0, height];
+    case 5:
+      return [0, 1, 1, 0, 0, 0];
+    case 6:
+      return [0, 1, -1, 0, height, 0];
+    case 7:
+      return [0, -1, -1, 0, height, width];
+    case 8:
+      return [0, -1, 1, 0, 0, width];
+    default:
+      return [1, 0, 0, 1, 0, 0];
+  }
+}
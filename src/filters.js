@@ -0,0 +1,142 @@
+// Document enhancement filters shared by the PDF pipeline (main thread or worker) and the
+// image compressor. Everything works in place on a 2D canvas' pixels.
+//
+// filters: {
+//   color: "color" | "grayscale" | "bw",  // bw = adaptive black/white threshold
+//   brightness: -100..100, contrast: -100..100,
+//   blackPoint: 0..254, whitePoint: 1..255,  // levels
+//   sharpen: 0..200                          // unsharp-mask amount in %
+// }
+
+export const DEFAULT_FILTERS = Object.freeze({
+  color: "color",
+  brightness: 0,
+  contrast: 0,
+  blackPoint: 0,
+  whitePoint: 255,
+  sharpen: 0
+});
+
+export function hasActiveFilters(filters) {
+  if (!filters) return false;
+  return Object.keys(DEFAULT_FILTERS).some((k) => filters[k] !== DEFAULT_FILTERS[k]);
+}
+
+// Levels, brightness and contrast folded into one 256-entry lookup table.
+function toneTable(filters) {
+  const black = Math.min(filters.blackPoint ?? 0, 254);
+  const white = Math.max(filters.whitePoint ?? 255, black + 1);
+  const brightness = (filters.brightness ?? 0) * 2.55;
+  const c = (filters.contrast ?? 0) * 2.55;
+  const factor = (259 * (c + 255)) / (255 * (259 - c));
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    let x = ((v - black) * 255) / (white - black);
+    x += brightness;
+    x = factor * (x - 128) + 128;
+    lut[v] = x;
+  }
+  return lut;
+}
+
+function luma(data, j) {
+  return data[j] * 0.299 + data[j + 1] * 0.587 + data[j + 2] * 0.114;
+}
+
+// Two passes of a radius-1 box blur (≈ small Gaussian), per RGB channel.
+function blurred(data, width, height) {
+  let src = Uint8ClampedArray.from(data);
+  let dst = new Uint8ClampedArray(data.length);
+  for (let pass = 0; pass < 2; pass++) {
+    // horizontal
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const l = Math.max(0, x - 1);
+        const r = Math.min(width - 1, x + 1);
+        for (let ch = 0; ch < 3; ch++) {
+          const row = y * width;
+          dst[(row + x) * 4 + ch] =
+            (src[(row + l) * 4 + ch] + src[(row + x) * 4 + ch] + src[(row + r) * 4 + ch]) / 3;
+        }
+      }
+    }
+    [src, dst] = [dst, src];
+    // vertical
+    for (let y = 0; y < height; y++) {
+      const u = Math.max(0, y - 1) * width;
+      const d = Math.min(height - 1, y + 1) * width;
+      const row = y * width;
+      for (let x = 0; x < width; x++) {
+        for (let ch = 0; ch < 3; ch++) {
+          dst[(row + x) * 4 + ch] = (src[(u + x) * 4 + ch] + src[(row + x) * 4 + ch] + src[(d + x) * 4 + ch]) / 3;
+        }
+      }
+    }
+    [src, dst] = [dst, src];
+  }
+  return src;
+}
+
+function unsharpMask(data, width, height, amount) {
+  const blur = blurred(data, width, height);
+  for (let j = 0; j < data.length; j += 4) {
+    for (let ch = 0; ch < 3; ch++) data[j + ch] = data[j + ch] + amount * (data[j + ch] - blur[j + ch]);
+  }
+}
+
+// Bradley–Roth adaptive threshold: a pixel turns black when it is noticeably darker than
+// the mean of its neighbourhood, which copes with uneven lighting in phone photos.
+function adaptiveThreshold(data, width, height) {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += luma(data, (y * width + x) * 4);
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+  const half = Math.max(4, Math.round(Math.max(width, height) / 32));
+  const t = 0.15;
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const count = (x1 - x0) * (y1 - y0);
+      const sum =
+        integral[y1 * (width + 1) + x1] -
+        integral[y0 * (width + 1) + x1] -
+        integral[y1 * (width + 1) + x0] +
+        integral[y0 * (width + 1) + x0];
+      const j = (y * width + x) * 4;
+      const v = luma(data, j) * count < sum * (1 - t) ? 0 : 255;
+      data[j] = data[j + 1] = data[j + 2] = v;
+    }
+  }
+}
+
+export function applyFilters(canvas, filters) {
+  if (!hasActiveFilters(filters)) return canvas;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const { width, height } = canvas;
+  const image = ctx.getImageData(0, 0, width, height);
+  const data = image.data;
+
+  const lut = toneTable(filters);
+  for (let j = 0; j < data.length; j += 4) {
+    data[j] = lut[data[j]];
+    data[j + 1] = lut[data[j + 1]];
+    data[j + 2] = lut[data[j + 2]];
+  }
+
+  if (filters.color === "grayscale" || filters.color === "bw") {
+    for (let j = 0; j < data.length; j += 4) data[j] = data[j + 1] = data[j + 2] = luma(data, j);
+  }
+
+  if (filters.sharpen > 0) unsharpMask(data, width, height, filters.sharpen / 100);
+  if (filters.color === "bw") adaptiveThreshold(data, width, height);
+
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
@@ -0,0 +1,149 @@
+// Fit-under search shared by the web app (canvas encoders) and the CLI (sharp), so a given
+// input and settings lead to the same decisions and pass/fail in both. It never encodes
+// anything itself: a backend does, and may score what it encoded.
+//
+// backend: {
+//   variants: encoder options to try, best clarity first (canvas.toBlob only has [{}]),
+//   encode(quality, variant) -> Promise<{ size }> (a Blob, or { buf, size } in the CLI),
+//   score?(encoded) -> Promise<number | null> (SSIM against the source; null = not measured)
+// }
+
+// JPEG encoder variants in search order, best clarity first: 4:4:4 baseline, progressive,
+// then 4:2:0 subsampling, then both. Used wherever the encoder is mozjpeg (sharp in the
+// CLI, the WASM build in the web app).
+export const JPEG_VARIANTS = Object.freeze([
+  { subsample: "4:4:4", progressive: false },
+  { subsample: "4:4:4", progressive: true },
+  { subsample: "4:2:0", progressive: false },
+  { subsample: "4:2:0", progressive: true }
+]);
+
+// The quality search stops once the bracket is this narrow, or after MAX_STEPS halvings.
+export const QUALITY_TOLERANCE = 0.015;
+const MAX_STEPS = 10;
+// Downscaling never goes below this long edge, whatever the caller's floor.
+const MIN_LONG_EDGE = 64;
+
+// opts: { targetBytes, baseQuality, minQuality, minSsim, search: "first-fit" | "best" }.
+// Resolves to { encoded, quality, variant, ssim, tried, pass }.
+//
+// Without a target it's one encode at base quality. Otherwise every variant is tried at base
+// quality first, and the first that fits wins outright. Failing that, each variant's highest
+// fitting quality is binary-searched down to minQuality: "first-fit" (default) keeps the
+// first variant that fits, "best" the one that fits at the highest quality (earlier variants
+// win ties). An encode scoring below minSsim never counts as fitting. If nothing fits, the
+// smallest encode at min quality is returned with pass=false ("best clarity"), moved up to
+// the lowest quality that meets minSsim when it scores lower.
+export async function searchQuality(backend, opts) {
+  const targetBytes = opts.targetBytes ?? null;
+  const baseQ = opts.baseQuality;
+  const minQ = opts.minQuality;
+  const minSsim = opts.minSsim ?? null;
+  let tried = 0;
+  const encode = (quality, variant) => {
+    tried++;
+    return backend.encode(quality, variant);
+  };
+  const score = async (encoded) => (backend.score ? await backend.score(encoded) : null);
+  const legible = (ssim) => minSsim == null || ssim == null || ssim >= minSsim;
+  const result = ({ encoded, quality, variant }, ssim, pass) => ({ encoded, quality, variant, ssim, tried, pass });
+
+  if (!targetBytes) {
+    const attempt = { encoded: await encode(baseQ, backend.variants[0]), quality: baseQ, variant: backend.variants[0] };
+    return result(attempt, await score(attempt.encoded), true);
+  }
+
+  let bestFit = null; // { encoded, quality, variant, ssim }
+  let smallest = null; // fallback: smallest encode at base or min quality
+  const consider = (attempt) => {
+    if (!smallest || attempt.encoded.size < smallest.encoded.size) smallest = attempt;
+  };
+  for (const variant of backend.variants) {
+    const atBase = { encoded: await encode(baseQ, variant), quality: baseQ, variant };
+    consider(atBase);
+    if (atBase.encoded.size <= targetBytes) {
+      const ssim = await score(atBase.encoded);
+      // Nothing beats base quality, and earlier variants win ties, so this is final.
+      if (legible(ssim)) return result(atBase, ssim, true);
+      // Under minSsim already at base quality: lower qualities only score worse.
+      continue;
+    }
+    // "best" only searches a later variant if it still fits at the quality found so far.
+    if (bestFit && opts.search !== "best") continue;
+    const floorQ = bestFit ? bestFit.quality : minQ;
+    const atFloor = { encoded: await encode(floorQ, variant), quality: floorQ, variant };
+    if (!bestFit) consider(atFloor);
+    if (atFloor.encoded.size > targetBytes) continue;
+
+    let lo = floorQ;
+    let hi = baseQ;
+    let best = atFloor;
+    for (let i = 0; i < MAX_STEPS && hi - lo > QUALITY_TOLERANCE; i++) {
+      const mid = (lo + hi) / 2;
+      const encoded = await encode(mid, variant);
+      if (encoded.size <= targetBytes) {
+        best = { encoded, quality: mid, variant };
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    if (bestFit && best.quality <= bestFit.quality) continue;
+    // The highest quality that fits is this variant's best score; below minSsim it's out.
+    const ssim = await score(best.encoded);
+    if (legible(ssim)) bestFit = { ...best, ssim };
+  }
+  if (bestFit) return result(bestFit, bestFit.ssim, true);
+
+  const ssim = await score(smallest.encoded);
+  if (legible(ssim) || smallest.quality >= baseQ) return result(smallest, ssim, false);
+  const raised = await lowestLegibleQuality(encode, score, smallest, baseQ, minSsim);
+  return result(raised, raised.ssim, false);
+}
+
+// Lowest quality in (from.quality, hi] whose encode (same variant) still scores at least
+// minSsim, the score rising with quality; the encode at `hi` if even that scores lower.
+async function lowestLegibleQuality(encode, score, from, hi, minSsim) {
+  const { variant } = from;
+  const attempt = async (quality) => {
+    const encoded = await encode(quality, variant);
+    return { encoded, quality, variant, ssim: await score(encoded) };
+  };
+  let best = await attempt(hi);
+  if (best.ssim < minSsim) return best;
+  let lo = from.quality;
+  for (let i = 0; i < MAX_STEPS && hi - lo > QUALITY_TOLERANCE; i++) {
+    const mid = (lo + hi) / 2;
+    const res = await attempt(mid);
+    if (res.ssim >= minSsim) {
+      best = res;
+      hi = mid;
+    } else {
+      lo = mid;
+    }
+  }
+  return best;
+}
+
+// Downscale fallback once the full-resolution search failed: fitAt(scale) is retried at
+// shrinking scales until its result passes, never below opts.minScale or a 64px long edge.
+// Bytes scale roughly with pixel count, so the first guess is the square root of the
+// overshoot, then 10% less each step. opts: { width, height, targetBytes, fullBytes, minScale }.
+// Resolves to { result, tried }: the first passing result (null if even the floor failed)
+// and the total of the results' `tried` counts.
+export async function searchScale(fitAt, opts) {
+  const longEdge = Math.max(opts.width, opts.height);
+  const floor = Math.min(1, Math.max(opts.minScale ?? 0, MIN_LONG_EDGE / longEdge));
+  let scale = Math.min(0.9, Math.sqrt(opts.targetBytes / opts.fullBytes));
+  let tried = 0;
+  while (floor < 1) {
+    const atFloor = scale <= floor;
+    if (atFloor) scale = floor;
+    const res = await fitAt(scale);
+    tried += res.tried ?? 0;
+    if (res.pass) return { result: res, tried };
+    if (atFloor) break;
+    scale *= 0.9;
+  }
+  return { result: null, tried };
+}
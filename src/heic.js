@@ -0,0 +1,32 @@
+// HEIC/HEIF (what iPhones save photos as), decoded with libheif compiled to WebAssembly:
+// only Safari decodes it natively, and sharp's prebuilt binaries can't either. Shared by the
+// web app and the CLI. The decoder is large, so it's only loaded once a HEIC file shows up.
+
+const HEIC_EXTENSIONS = [".heic", ".heif"];
+const HEIC_TYPES = ["image/heic", "image/heif", "image/heic-sequence", "image/heif-sequence"];
+
+let loading = null;
+
+// By MIME type or extension: some systems hand HEIC files over with an empty type.
+export function isHeic(name, type = "") {
+  const lower = name.toLowerCase();
+  return HEIC_TYPES.includes(type.toLowerCase()) || HEIC_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
+
+// The primary image of a HEIC/HEIF file as { data: RGBA Uint8ClampedArray, width, height },
+// already upright (libheif applies the file's rotation and mirroring).
+export async function decodeHeic(bytes) {
+  loading ??= import("heic-decode").then((mod) => mod.default ?? mod);
+  let decode;
+  try {
+    decode = await loading;
+  } catch (err) {
+    loading = null; // let a later file retry the download
+    throw new Error(`Couldn't load the HEIC decoder: ${err?.message || err}`);
+  }
+  try {
+    return await decode({ buffer: bytes });
+  } catch (err) {
+    throw new Error(`Couldn't decode HEIC image: ${err?.message || err}`);
+  }
+}
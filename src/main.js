@@ -1,6 +1,48 @@
 import "./style.css";
 import JSZip from "jszip";
 import * as pdfjsLib from "pdfjs-dist";
+import {
+  calcCombinedPlan,
+  packByDimensions,
+  canvasSizeGuard,
+  canvasToJpegBlob,
+  clamp,
+  pageRotation,
+  renderScale,
+  convertPdfPages,
+  encodeCanvasFitUnder,
+  formatInfo,
+  OUTPUT_FORMATS,
+  abortError,
+  isAbortError,
+  previewBlob,
+  scaledCanvas,
+  throwIfAborted
+} from "./pipeline.js";
+import { DEFAULT_FILTERS, applyFilters, hasActiveFilters } from "./filters.js";
+import { readTiffPages, writeTiff } from "./encoders.js";
+import {
+  METADATA_MODES,
+  exifSegment,
+  insertJpegSegment,
+  orientationTransform,
+  parseExif,
+  readJpegExif,
+  stripJpegExif
+} from "./exif.js";
+import { PAGE_SIZES, buildPdf, placeImage } from "./pdfwriter.js";
+import { decodeHeic, isHeic } from "./heic.js";
+import {
+  BUILTIN_PROFILES,
+  allowsFormat,
+  describeProfile,
+  findProfile,
+  maxDimsScale,
+  normalizeProfile,
+  parseProfiles,
+  profileIssues,
+  profilesToJson
+} from "./profiles.js";
 
 pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
   "pdfjs-dist/build/pdf.worker.min.mjs",
@@ -9,35 +51,79 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
 
 const $app = document.querySelector("#app");
 
-const SIX_MB = 6 * 1024 * 1024;
+const PROFILES_KEY = "pdf2img:profiles";
 
 const state = {
   busy: false,
-  appMode: "pdf", // pdf | img
-  file: null,
-  pdfData: null,
-  pdfDoc: null,
-  pdfNameBase: "document",
-  format: "jpg", // jpg | jpeg
+  job: /** @type {null|AbortController} */ (null), // cancellable work in flight
+  appMode: "pdf", // pdf | img | assemble
+  // Document profile (see profiles.js): "" = none. Choosing one sets the size, quality, DPI and
+  // format settings of all tools; its rules then drive the limit and dimension checks.
+  profileId: "",
+  customProfiles: /** @type {Array<ReturnType<typeof normalizeProfile>>} */ ([]), // saved in localStorage
+  // Source PDFs in upload order; their pages form one job.
+  docs:
+    /** @type {Array<{id:string,file:File,nameBase:string,data:ArrayBuffer,pdfDoc:any,pageCount:number}>} */ ([]),
+  pdfNameBase: "document", // job name: the single source, or "<first>-merged"
+  format: "jpg", // jpg | jpeg | png | webp | tiff (shared by both tools)
   mode: "individual", // individual | combined
   quality: 0.92, // default high for document legibility
-  dpiScale: 2, // 2 | 3
-  spacing: "small", // none | small | medium
+  // PDF render size: a fixed DPI, or the largest size that fits maxWidth × maxHeight px
+  sizing: "dpi", // dpi | fit
+  dpi: 144, // 72–600; 144 matches the old "2x" default
+  maxWidth: 2000, // fit mode, 0 = no limit
+  maxHeight: 0,
+  spacing: "small", // none | small | medium | large
+  layout: "vertical", // vertical | horizontal | 2up | grid (combined mode)
+  gridColumns: 3,
+  background: "#ffffff", // combined canvas fill behind gutters and uneven pages
+  autoCrop: false,
+  deskew: false,
+  cropPadding: 12, // points (1/72 in) kept around detected content
+  // Enhancement filters shared by both tools (see filters.js)
+  filters: { ...DEFAULT_FILTERS },
   compress: true,
   maxSizeMB: 6,
   fitUnderMax: true,
-  // Image -> Image compression mode (JPG/JPEG/PNG -> JPG)
+  minQuality: 0.55, // quality floor of the fit-under search (set by profiles)
+  // Opt-in: shrink pixel dimensions when quality alone can't meet the size target.
+  allowDownscale: false,
+  minDpi: 150, // PDF pages never go below this effective DPI
+  // Opt-in: stop lowering quality once the output's SSIM against the source drops below this.
+  ssimGuard: false,
+  minSsim: 0.95,
+  // mozjpeg options for JPEG encodes without a size target (with one, all four are searched)
+  subsample: "4:4:4", // 4:4:4 | 4:2:0
+  progressive: false,
+  // Image -> Image compression mode (JPG/JPEG/PNG/HEIC -> state.format)
   imgFiles:
-    /** @type {Array<{id:string,file:File,origBytes:number,width:number,height:number,wasPng?:boolean,compressed?:{blob:Blob,url:string,bytes:number,usedQuality:number,tried:number,pass:boolean}}>} */ ([]),
+    /** @type {Array<{id:string,file:File,thumbUrl:string,origBytes:number,width:number,height:number,wasPng?:boolean,wasHeic?:boolean,exif:{orientation:number,make:string,model:string,date:string,hasGps:boolean,tiff:Uint8Array}|null,compressed?:{blob:Blob,url:string,ext:string,bytes:number,usedQuality:number|null,colors:number,ssim:number|null,variant:{subsample:string,progressive:boolean}|null,tried:number,fits:boolean,issues:string[],pass:boolean,width:number,height:number,scale:number}}>} */ ([]),
   imgTargetKB: 600,
-  imgUscisPreset: true,
   imgMinQuality: 0.55,
-  pageCount: 0,
-  pageOrder: /** @type {number[]} */ ([]),
+  imgSsimGuard: false,
+  imgMinSsim: 0.95,
+  imgAllowDownscale: false,
+  imgMinLongEdge: 1600, // px floor for the image downscale fallback
+  imgMetadata: "strip", // strip | safe | all: EXIF written into JPEG outputs (see exif.js)
+  // Images -> PDF: one page per image of imgFiles, in list order
+  assemblePageSize: "letter", // letter | a4 | fit
+  assembleMargin: 36, // points (1/72 in) around each image
+  assembleFitUnder: true,
+  assembleMaxMB: 6,
+  assembled: /** @type {null|{blob:Blob,filename:string,bytes:number,pages:number,downscaled:number,pass:boolean}} */ (null),
+  pageCount: 0, // across all docs
+  // Pages are identified by key "<docId>:<pageNumber>" so adding/removing a doc keeps
+  // order, exclusion and rotation of the others intact.
+  pageOrder: /** @type {string[]} */ ([]),
+  excludedPages: /** @type {Set<string>} */ (new Set()),
+  rotations: /** @type {Record<string,number>} */ ({}), // key -> extra clockwise degrees (0/90/180/270)
+  thumbs: /** @type {Map<string,string>} */ (new Map()), // key -> low-res preview URL
   pages:
-    /** @type {Array<{pageNumber:number, blob:Blob, url:string, filename:string, bytes:number, width:number, height:number}>} */ ([]),
-  combined:
-    /** @type {null|{blob:Blob,url:string,filename:string,bytes:number,width:number,height:number}} */ (null),
+    /** @type {Array<{key:string, pageNumber:number, blob:Blob, url:string, beforeUrl:string|null, pageNote:string, filename:string, bytes:number, width:number, height:number, scale:number, dpi:number, ssim:number|null}>} */ ([]),
+  autoSplit: false,
+  // One entry per combined image; more than one only when auto-split kicked in.
+  combinedParts:
+    /** @type {Array<{keys:string[], blob:Blob, url:string, filename:string, bytes:number, width:number, height:number, scale:number, dpi:number, pass:boolean}>} */ ([]),
   theme: "light"
 };
 
@@ -48,10 +134,6 @@ function escapeHtml(s) {
   });
 }
 
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
-}
-
 function bytesToHuman(bytes) {
   if (!Number.isFinite(bytes)) return "—";
   const mb = bytes / (1024 * 1024);
@@ -64,6 +146,63 @@ function kbToHuman(kb) {
   return bytesToHuman(kb * 1024);
 }
 
+// " • SSIM 0.987" for result cards; empty when the output wasn't scored.
+function ssimSuffix(score) {
+  return score == null ? "" : ` • SSIM ${score.toFixed(3)}`;
+}
+
+// "4:2:0, progressive" for the mozjpeg variant an output was encoded with.
+function variantLabel({ subsample, progressive }) {
+  return `${subsample}${progressive ? ", progressive" : ""}`;
+}
+
+function jpegSettings() {
+  return { subsample: state.subsample, progressive: state.progressive };
+}
+
+// "Apple iPhone 13 • 2024-05-01 14:22:09 • rotated upright" from a photo's EXIF.
+function exifSummary(exif) {
+  const camera = exif.model.startsWith(exif.make) ? exif.model : `${exif.make} ${exif.model}`.trim();
+  return [camera, exif.date, exif.orientation !== 1 ? "rotated upright" : ""].filter(Boolean).join(" • ");
+}
+
+function activeProfile() {
+  return findProfile(state.profileId, state.customProfiles);
+}
+
+// Per-file limit PDF results are checked against: the profile's, else USCIS online filing's 6 MB.
+function sizeLimit() {
+  const profile = activeProfile();
+  if (!profile?.maxKB) return { bytes: 6 * 1024 * 1024, label: "6MB", source: "common USCIS limit" };
+  return { bytes: profile.maxKB * 1024, label: kbToHuman(profile.maxKB), source: `${profile.name} limit` };
+}
+
+// Saved custom profiles; a corrupt or outdated entry drops them all rather than half-loading.
+function loadCustomProfiles() {
+  const saved = localStorage.getItem(PROFILES_KEY);
+  if (!saved) return [];
+  try {
+    return parseProfiles(saved);
+  } catch (err) {
+    console.warn("Ignoring saved profiles:", err);
+    return [];
+  }
+}
+
+function saveCustomProfiles() {
+  localStorage.setItem(PROFILES_KEY, profilesToJson(state.customProfiles));
+}
+
+function profileOptions() {
+  const option = (p) =>
+    `<option value="${escapeHtml(p.id)}" ${p.id === state.profileId ? "selected" : ""}>${escapeHtml(p.name)}</option>`;
+  const custom = state.customProfiles.length
+    ? `<optgroup label="Custom">${state.customProfiles.map(option).join("")}</optgroup>`
+    : "";
+  return `<option value="">None (manual settings)</option>
+    <optgroup label="Built-in">${BUILTIN_PROFILES.map(option).join("")}</optgroup>${custom}`;
+}
+
 function uid() {
   return Math.random().toString(16).slice(2) + Date.now().toString(16);
 }
@@ -80,8 +219,12 @@ function isPng(file) {
   return t === "image/png" || n.endsWith(".png");
 }
 
+function isHeicFile(file) {
+  return isHeic(file?.name || "", file?.type || "");
+}
+
 function isAcceptedImage(file) {
-  return isJpegLike(file) || isPng(file);
+  return isJpegLike(file) || isPng(file) || isHeicFile(file);
 }
 
 function setTheme(theme) {
@@ -116,6 +259,30 @@ function setBusy(busy) {
   });
   const dz = document.querySelector("#dropzone");
   if (dz) dz.setAttribute("aria-busy", busy ? "true" : "false");
+  const cancelBtn = document.querySelector("#cancelBtn");
+  if (cancelBtn) {
+    cancelBtn.hidden = !busy || !state.job;
+    cancelBtn.disabled = !!state.job?.signal.aborted;
+  }
+}
+
+function startJob() {
+  state.job = new AbortController();
+  setBusy(true);
+  return state.job.signal;
+}
+
+function endJob() {
+  state.job = null;
+  setBusy(false);
+}
+
+function cancelJob() {
+  if (!state.job || state.job.signal.aborted) return;
+  state.job.abort();
+  setBusy(true);
+  const label = document.querySelector("#progressText");
+  if (label) label.textContent = "Cancelling…";
 }
 
 function setProgress(pct, text) {
@@ -133,29 +300,40 @@ function hideProgress() {
   if (wrap) wrap.classList.remove("show");
 }
 
-function clearResults() {
-  for (const p of state.pages) URL.revokeObjectURL(p.url);
-  if (state.combined?.url) URL.revokeObjectURL(state.combined.url);
-  if (state.pdfDoc?.destroy) {
-    try {
-      state.pdfDoc.destroy();
-    } catch {
-      // ignore
-    }
-  }
+// Drops converted output (not the loaded PDFs), e.g. when the job's inputs change.
+function clearOutputs() {
+  state.pages.forEach((p) => {
+    URL.revokeObjectURL(p.url);
+    if (p.beforeUrl) URL.revokeObjectURL(p.beforeUrl);
+  });
+  state.combinedParts.forEach((p) => URL.revokeObjectURL(p.url));
   state.pages = [];
-  state.combined = null;
-  state.file = null;
-  state.pdfData = null;
-  state.pdfDoc = null;
-  state.pdfNameBase = "document";
-  state.pageCount = 0;
-  state.pageOrder = [];
+  state.combinedParts = [];
   renderGrid();
   renderCombinedPreview();
   updateSizeUI();
   updateStepUI();
-  renderReorderUI();
+}
+
+function destroyDoc(doc) {
+  try {
+    doc.pdfDoc?.destroy();
+  } catch {
+    // ignore
+  }
+}
+
+function clearResults() {
+  clearOutputs();
+  state.docs.forEach(destroyDoc);
+  state.docs = [];
+  state.pageOrder = [];
+  state.excludedPages = new Set();
+  state.rotations = {};
+  _thumbToken++;
+  for (const url of state.thumbs.values()) URL.revokeObjectURL(url);
+  state.thumbs = new Map();
+  docsChanged();
   hideProgress();
 }
 
@@ -170,6 +348,41 @@ function downloadBlob(blob, filename) {
   setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
+// generateAsync() can't be stopped, so drive the internal stream and pause it on abort.
+// A paused stream never finishes accumulating, so the promise settles once, through
+// `settle`, whichever of abort, error or completion comes first.
+function generateZipBlob(zip, signal) {
+  throwIfAborted(signal);
+  const stream = zip.generateInternalStream({
+    type: "blob",
+    compression: "DEFLATE",
+    compressionOptions: { level: 6 }
+  });
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+    const onAbort = () => {
+      stream.pause();
+      settle(reject, abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    stream
+      .accumulate((meta) => {
+        // meta.percent is 0..100
+        if (!settled) setProgress(meta.percent || 0, `Building ZIP… ${Math.round(meta.percent || 0)}%`);
+      })
+      .then(
+        (blob) => settle(resolve, blob),
+        (err) => settle(reject, err)
+      );
+  });
+}
+
 async function fileToImageBitmap(file) {
   const blobUrl = URL.createObjectURL(file);
   try {
@@ -187,163 +400,328 @@ async function fileToImageBitmap(file) {
   }
 }
 
+// EXIF of a JPEG (the segment sits near the start of the file), or null.
+async function readImageExif(file) {
+  if (!isJpegLike(file)) return null;
+  return parseExif(readJpegExif(new Uint8Array(await file.slice(0, 256 * 1024).arrayBuffer())));
+}
+
+// Browsers other than Safari can't decode HEIC, so it goes through libheif (heic.js).
+async function heicFileToCanvas(file) {
+  const { data, width, height } = await decodeHeic(new Uint8Array(await file.arrayBuffer()));
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").putImageData(new ImageData(data, width, height), 0, 0);
+  return canvas;
+}
+
 async function imageFileToCanvas(file) {
-  const bmp = await fileToImageBitmap(file);
+  // Rotated JPEGs are decoded without their EXIF block and turned upright here, so the
+  // result doesn't depend on whether the browser applies the orientation itself.
+  let source = file;
+  let orientation = 1;
+  if (isJpegLike(file)) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    orientation = parseExif(readJpegExif(bytes))?.orientation ?? 1;
+    if (orientation !== 1) source = new Blob([stripJpegExif(bytes)], { type: "image/jpeg" });
+  }
+  const bmp = isHeicFile(file) ? await heicFileToCanvas(file) : await fileToImageBitmap(source);
   const w = /** @type {any} */ (bmp).width;
   const h = /** @type {any} */ (bmp).height;
+  const swap = orientation >= 5;
   const canvas = document.createElement("canvas");
   const ctx = canvas.getContext("2d", { alpha: false });
-  canvas.width = Math.floor(w);
-  canvas.height = Math.floor(h);
+  canvas.width = Math.floor(swap ? h : w);
+  canvas.height = Math.floor(swap ? w : h);
   ctx.fillStyle = "#ffffff";
   ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.setTransform(...orientationTransform(orientation, w, h));
   ctx.drawImage(/** @type {any} */ (bmp), 0, 0);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
   return { canvas, width: canvas.width, height: canvas.height };
 }
 
-function canvasToJpegBlob(canvas, quality) {
-  return new Promise((resolve, reject) => {
-    canvas.toBlob(
-      (b) => (b ? resolve(b) : reject(new Error("Failed to export canvas to JPEG."))),
-      "image/jpeg",
-      quality
-    );
-  });
+function pickSafeBaseName(fileName) {
+  const base = (fileName || "document").replace(/\.[^.]+$/, "");
+  const safe = base.replace(/[^\w\-]+/g, "_").replace(/^_+|_+$/g, "");
+  return safe || "document";
 }
 
-async function encodeCanvasFitUnder(canvas, opts) {
-  const targetBytes = opts?.targetBytes ?? null;
-  const baseQuality = clamp(opts?.baseQuality ?? 0.85, 0.1, 1.0);
-  const minQuality = clamp(opts?.minQuality ?? 0.55, 0.1, 1.0);
-
-  // One-shot if no target.
-  if (!targetBytes) {
-    const blob = await canvasToJpegBlob(canvas, baseQuality);
-    return { blob, usedQuality: baseQuality, tried: 1, pass: true };
-  }
+function fileExt(fileName) {
+  return fileName.slice(fileName.lastIndexOf(".") + 1);
+}
 
-  // If already <= target at baseQuality, keep it.
-  {
-    const b = await canvasToJpegBlob(canvas, baseQuality);
-    if (b.size <= targetBytes) return { blob: b, usedQuality: baseQuality, tried: 1, pass: true };
-  }
+function formatOptions() {
+  return Object.entries(OUTPUT_FORMATS)
+    .map(([value, f]) => `<option value="${value}">${escapeHtml(f.label)}</option>`)
+    .join("");
+}
 
-  // Binary search quality to fit under target (resolution unchanged).
-  let lo = minQuality;
-  let hi = baseQuality;
-  let bestBlob = await canvasToJpegBlob(canvas, minQuality);
-  let bestQ = minQuality;
-  let tried = 2;
+function formatHint(format) {
+  if (format === "png") return "Lossless; shrinks the colour palette to fit the size target.";
+  if (format === "webp") return "Smaller than JPG at the same quality; check the portal accepts it.";
+  if (format === "tiff") return "Lossless archival copy; only downscaling can reduce its size.";
+  return "Best compatibility with upload portals.";
+}
 
-  // If even minQuality can't reach the target, return "best clarity" at minQuality (fail).
-  if (bestBlob.size > targetBytes) {
-    return { blob: bestBlob, usedQuality: minQuality, tried, pass: false };
-  }
+function allPages(count) {
+  return Array.from({ length: count }, (_, i) => i + 1);
+}
 
-  // Search highest quality that fits.
-  for (let i = 0; i < 10 && hi - lo > 0.02; i++) {
-    const mid = (lo + hi) / 2;
-    const b = await canvasToJpegBlob(canvas, mid);
-    tried++;
-    if (b.size <= targetBytes) {
-      bestBlob = b;
-      bestQ = mid;
-      lo = mid;
+// "1-3,7,10-" -> [1,2,3,7,10..count]. "-4" means 1-4; blank means every page.
+function parsePageRange(text, count) {
+  const raw = String(text || "").trim();
+  if (!raw) return { pages: allPages(count), error: null };
+  const pages = new Set();
+  for (const part of raw.split(",")) {
+    const token = part.trim();
+    if (!token) continue;
+    let from;
+    let to;
+    const m = token.match(/^(\d*)\s*-\s*(\d*)$/);
+    if (/^\d+$/.test(token)) {
+      from = to = Number(token);
+    } else if (m && (m[1] || m[2])) {
+      from = m[1] ? Number(m[1]) : 1;
+      to = m[2] ? Number(m[2]) : count;
     } else {
-      hi = mid;
+      return { pages: [], error: `Invalid page range "${token}" (example: 1-3,7,10-).` };
     }
+    if (from > to) return { pages: [], error: `Invalid page range "${token}" (start is after end).` };
+    if (from < 1 || to > count) return { pages: [], error: `"${token}" is outside pages 1–${count}.` };
+    for (let n = from; n <= to; n++) pages.add(n);
   }
-
-  return { blob: bestBlob, usedQuality: bestQ, tried, pass: true };
+  if (!pages.size) return { pages: [], error: "Page range selects no pages." };
+  return { pages: Array.from(pages).sort((a, b) => a - b), error: null };
 }
 
-async function encodeCanvasSmart(canvas) {
-  // NOTE: Browser encoders only expose "quality" via canvas.toBlob; advanced options
-  // like chroma subsampling / progressive / metadata stripping are CLI-only.
-  const targetBytes = state.fitUnderMax ? Math.floor(state.maxSizeMB * 1024 * 1024) : null;
-  const q = clamp(state.quality, 0.1, 1.0);
-  if (!state.compress) {
-    const blob = await canvasToJpegBlob(canvas, q);
-    return { blob, usedQuality: q, tried: 1, pass: true };
+// [2,3,4,5,9] -> "2-5,9"
+function formatPageRange(pages) {
+  const sorted = Array.from(new Set(pages)).sort((a, b) => a - b);
+  const parts = [];
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i];
+    while (sorted[i + 1] === sorted[i] + 1) i++;
+    parts.push(sorted[i] === start ? `${start}` : `${start}-${sorted[i]}`);
   }
-  return await encodeCanvasFitUnder(canvas, { targetBytes, baseQuality: q, minQuality: 0.55 });
+  return parts.join(",");
 }
 
-function spacingPx() {
-  if (state.spacing === "none") return 0;
-  if (state.spacing === "medium") return 40;
-  return 20; // small
+function pageKey(docId, pageNumber) {
+  return `${docId}:${pageNumber}`;
 }
 
-function calcCombinedPlan(pageDims) {
-  const spacing = spacingPx();
-  const width = Math.max(...pageDims.map((d) => d.width));
-  const height =
-    pageDims.reduce((sum, d) => sum + d.height, 0) + spacing * Math.max(0, pageDims.length - 1);
-  return { width, height, spacing };
+// Every page of every doc in upload order; index + 1 is the page's number within the job,
+// which is what the page range input and range suffixes refer to.
+function allPageKeys() {
+  return state.docs.flatMap((d) => allPages(d.pageCount).map((n) => pageKey(d.id, n)));
 }
 
-function canvasSizeGuard(width, height) {
-  // Conservative guardrails for canvas limits/memory.
-  const maxDim = 16384;
-  if (width > maxDim || height > maxDim) {
-    return `Combined image is too large (${Math.round(width)}×${Math.round(
-      height
-    )}). Try DPI 2x, reduce pages, or use Individual Pages.`;
-  }
-  const pixels = width * height;
-  if (pixels > 140_000_000) {
-    return `Combined image is very large (~${Math.round(
-      pixels / 1_000_000
-    )}MP). Try DPI 2x or Individual Pages.`;
-  }
-  return null;
+function pageRef(key) {
+  const i = key.lastIndexOf(":");
+  const docId = key.slice(0, i);
+  const docIndex = state.docs.findIndex((d) => d.id === docId);
+  return { doc: state.docs[docIndex], docIndex, pageNumber: Number(key.slice(i + 1)) };
 }
 
-function pickSafeBaseName(fileName) {
-  const base = (fileName || "document").replace(/\.[^.]+$/, "");
-  const safe = base.replace(/[^\w\-]+/g, "_").replace(/^_+|_+$/g, "");
-  return safe || "document";
+function jobPageNumbers(keys) {
+  const index = new Map(allPageKeys().map((k, i) => [k, i + 1]));
+  return keys.map((k) => index.get(k));
 }
 
-async function convertPdfFile(file) {
-  if (!file) return;
+function pageLabel(key) {
+  const { doc, pageNumber } = pageRef(key);
+  return state.docs.length > 1 ? `${doc.nameBase} p${pageNumber}` : `Page ${pageNumber}`;
+}
+
+// Filename fragment for a partial selection, e.g. "-pages2-5_9"; empty when every page is used.
+function pageRangeSuffix(keys) {
+  const unique = new Set(keys);
+  if (!unique.size || unique.size === state.pageCount) return "";
+  return `-pages${formatPageRange(jobPageNumbers(Array.from(unique))).replace(/,/g, "_")}`;
+}
+
+function selectedPageOrder() {
+  return state.pageOrder.filter((k) => !state.excludedPages.has(k));
+}
+
+function syncPageRangeInput() {
+  const input = document.querySelector("#pageRangeInput");
+  if (!input) return;
+  input.value = state.excludedPages.size ? formatPageRange(jobPageNumbers(selectedPageOrder())) : "";
+}
+
+function pageSelectionChanged() {
+  syncPageRangeInput();
+  renderReorderUI();
+  updateStepUI();
+  updateCombinedEstimate();
+  renderActions();
+  updateEnhancePreview();
+}
+
+// Output filenames carry the source document name, plus the position when the chosen
+// order differs from page order so sorting the files reproduces the arrangement.
+function pageFilename(index, key, order) {
+  const ext = state.format;
+  const { doc, pageNumber } = pageRef(key);
+  const numbers = jobPageNumbers(order);
+  const natural = numbers.every((n, i) => i === 0 || numbers[i - 1] < n);
+  if (natural) return `${doc.nameBase}-page${pageNumber}.${ext}`;
+  const pos = String(index + 1).padStart(String(order.length).length, "0");
+  if (state.docs.length === 1) return `${doc.nameBase}-${pos}-page${pageNumber}.${ext}`;
+  return `${pos}-${doc.nameBase}-page${pageNumber}.${ext}`;
+}
+
+function setPageSelection(pages) {
+  const keys = allPageKeys();
+  const keep = new Set(pages.map((n) => keys[n - 1]));
+  state.excludedPages = new Set(keys.filter((k) => !keep.has(k)));
+  pageSelectionChanged();
+}
+
+function isPdfFile(file) {
+  return file.type === "application/pdf" || file.name.toLowerCase().endsWith(".pdf");
+}
+
+// Recomputes job-level fields after docs were added/removed and refreshes dependent UI.
+function docsChanged() {
+  state.pageCount = state.docs.reduce((sum, d) => sum + d.pageCount, 0);
+  state.pdfNameBase = !state.docs.length
+    ? "document"
+    : state.docs.length === 1
+      ? state.docs[0].nameBase
+      : `${state.docs[0].nameBase}-merged`;
+  renderDocList();
+  syncPageRangeInput();
+  updateStepUI();
+  renderReorderUI();
+  updateCombinedEstimate();
+  renderActions();
+  renderThumbnails();
+  updateEnhancePreview();
+}
+
+async function addPdfFiles(fileList) {
   if (state.busy) return;
-  if (file.type !== "application/pdf" && !file.name.toLowerCase().endsWith(".pdf")) {
+  const all = Array.from(fileList || []);
+  const files = all.filter(isPdfFile);
+  if (!files.length) {
     toast("Please select a PDF file.", "error");
     return;
   }
+  if (files.length < all.length) {
+    const skipped = all.length - files.length;
+    toast(`Skipped ${skipped} non-PDF file${skipped === 1 ? "" : "s"}.`, "warn");
+  }
 
-  clearResults();
-  state.file = file;
-  state.pdfNameBase = pickSafeBaseName(file.name);
+  // New pages change the job, so earlier output no longer matches it.
+  clearOutputs();
   setBusy(true);
 
+  let addedPages = 0;
   try {
-    setProgress(0, "Loading PDF…");
-    state.pdfData = await file.arrayBuffer();
-    state.pdfDoc = await pdfjsLib.getDocument({ data: state.pdfData }).promise;
-
-    const total = state.pdfDoc.numPages;
-    if (!total || total < 1) throw new Error("No pages found in PDF.");
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      setProgress((i / files.length) * 100, `Loading ${file.name}…`);
+      try {
+        const data = await file.arrayBuffer();
+        // pdf.js transfers (detaches) the buffer it is given; keep ours intact for the worker.
+        const pdfDoc = await pdfjsLib.getDocument({ data: data.slice(0) }).promise;
+        const total = pdfDoc.numPages;
+        if (!total || total < 1) {
+          destroyDoc({ pdfDoc });
+          throw new Error("No pages found in PDF.");
+        }
+        const doc = { id: uid(), file, nameBase: pickSafeBaseName(file.name), data, pdfDoc, pageCount: total };
+        state.docs.push(doc);
+        state.pageOrder.push(...allPages(total).map((n) => pageKey(doc.id, n)));
+        addedPages += total;
+      } catch (err) {
+        console.error(err);
+        toast(`${file.name}: ${err?.message ? String(err.message) : "Failed to load PDF."}`, "error");
+      }
+    }
 
-    state.pageCount = total;
-    state.pageOrder = Array.from({ length: total }, (_, i) => i + 1);
-    setProgress(100, `Loaded ${total} page${total === 1 ? "" : "s"}.`);
-    toast(`PDF loaded: ${total} page${total === 1 ? "" : "s"}.`, "success");
-    updateStepUI();
-    renderReorderUI();
-    updateCombinedEstimate();
-  } catch (err) {
-    console.error(err);
-    toast(err?.message ? String(err.message) : "Conversion failed.", "error");
-    hideProgress();
+    if (addedPages) {
+      const total = state.pageCount + addedPages;
+      setProgress(100, `Loaded ${total} page${total === 1 ? "" : "s"}.`);
+      toast(
+        state.docs.length > 1
+          ? `${state.docs.length} PDFs loaded: ${total} pages in one job.`
+          : `PDF loaded: ${total} page${total === 1 ? "" : "s"}.`,
+        "success"
+      );
+    } else {
+      hideProgress();
+    }
   } finally {
     setBusy(false);
-    renderActions();
+    docsChanged();
   }
 }
 
+function removeDoc(id) {
+  if (state.busy) return;
+  const doc = state.docs.find((d) => d.id === id);
+  if (!doc) return;
+  destroyDoc(doc);
+  const prefix = `${id}:`;
+  state.docs = state.docs.filter((d) => d !== doc);
+  state.pageOrder = state.pageOrder.filter((k) => !k.startsWith(prefix));
+  for (const k of Array.from(state.excludedPages)) if (k.startsWith(prefix)) state.excludedPages.delete(k);
+  for (const k of Object.keys(state.rotations)) if (k.startsWith(prefix)) delete state.rotations[k];
+  for (const [k, url] of Array.from(state.thumbs)) {
+    if (!k.startsWith(prefix)) continue;
+    URL.revokeObjectURL(url);
+    state.thumbs.delete(k);
+  }
+  clearOutputs();
+  docsChanged();
+  toast(`Removed ${doc.file.name}.`, "info");
+}
+
+function renderDocList() {
+  const host = document.querySelector("#docListHost");
+  const hint = document.querySelector("#fileHint");
+  const totalBytes = state.docs.reduce((sum, d) => sum + d.file.size, 0);
+  if (hint) {
+    hint.textContent = !state.docs.length
+      ? ""
+      : state.docs.length === 1
+        ? `${state.docs[0].file.name} • ${bytesToHuman(totalBytes)}`
+        : `${state.docs.length} PDFs • ${bytesToHuman(totalBytes)}`;
+  }
+  if (!host) return;
+  if (state.docs.length < 2) {
+    host.innerHTML = "";
+    return;
+  }
+  host.innerHTML = `
+    <div class="docList">
+      ${state.docs
+        .map(
+          (d, i) => `
+        <div class="docItem">
+          <div class="name" title="${escapeHtml(d.file.name)}">${i + 1}. ${escapeHtml(d.file.name)}</div>
+          <div class="mini">${d.pageCount} page${d.pageCount === 1 ? "" : "s"} • ${escapeHtml(
+            bytesToHuman(d.file.size)
+          )}</div>
+          <button class="btn" type="button" data-remove-doc="${escapeHtml(d.id)}" data-disable-when-busy ${
+            state.busy ? "disabled" : ""
+          }>Remove</button>
+        </div>
+      `
+        )
+        .join("")}
+    </div>
+  `;
+  host.querySelectorAll("[data-remove-doc]").forEach((btn) => {
+    btn.addEventListener("click", () => removeDoc(btn.getAttribute("data-remove-doc")));
+  });
+}
+
 function renderGrid() {
   const pages = state.pages;
   const grid = document.querySelector("#grid");
@@ -360,19 +738,29 @@ function renderGrid() {
     return;
   }
 
+  const limit = sizeLimit();
+  const profile = activeProfile();
   grid.innerHTML = pages
     .map((p) => {
-      const warn = p.bytes > SIX_MB;
+      const warn = p.bytes > limit.bytes;
+      const issues = profileIssues(profile, p);
       return `
       <div class="card">
         <div class="thumb">
-          <img src="${p.url}" alt="Page ${p.pageNumber} preview" loading="lazy" />
+          <img src="${p.url}" alt="${escapeHtml(pageLabel(p.key))} preview" loading="lazy" />
+          ${
+            p.beforeUrl
+              ? `<button class="btn compareBtn" type="button" data-compare-page="${escapeHtml(p.key)}" aria-pressed="false">Before</button>`
+              : ""
+          }
         </div>
+        ${p.pageNote ? `<div class="pageNote mini">${escapeHtml(p.pageNote)}</div>` : ""}
+        ${issues.length ? `<div class="pageNote mini" style="color:var(--danger);">⚠️ ${escapeHtml(issues.join("; "))}</div>` : ""}
         <div class="meta">
-          <div class="name" title="${escapeHtml(p.filename)}">Page ${p.pageNumber} • ${escapeHtml(
-            bytesToHuman(p.bytes)
-          )}${warn ? " • ⚠️ > 6MB" : ""}</div>
-          <button class="btn primary" data-download-page="${p.pageNumber}" data-disable-when-busy>Download</button>
+          <div class="name" title="${escapeHtml(p.filename)}">${escapeHtml(pageLabel(p.key))} • ${
+            p.dpi
+          } DPI • ${escapeHtml(bytesToHuman(p.bytes))}${ssimSuffix(p.ssim)}${warn ? ` • ⚠️ > ${escapeHtml(limit.label)}` : ""}</div>
+          <button class="btn primary" data-download-page="${escapeHtml(p.key)}" data-disable-when-busy>Download</button>
         </div>
       </div>
     `;
@@ -381,14 +769,27 @@ function renderGrid() {
 
   grid.querySelectorAll("[data-download-page]").forEach((btn) => {
     btn.addEventListener("click", () => {
-      const n = Number(btn.getAttribute("data-download-page"));
-      const p = state.pages.find((x) => x.pageNumber === n);
+      const key = btn.getAttribute("data-download-page");
+      const p = state.pages.find((x) => x.key === key);
       if (!p) return;
       downloadBlob(p.blob, p.filename);
       toast("Downloaded. Your images are ready for USCIS upload.", "success");
     });
   });
 
+  // Before/after toggle for pages touched by scan cleanup.
+  grid.querySelectorAll("[data-compare-page]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const p = state.pages.find((x) => x.key === btn.getAttribute("data-compare-page"));
+      const img = btn.parentElement?.querySelector("img");
+      if (!p?.beforeUrl || !img) return;
+      const showBefore = btn.getAttribute("aria-pressed") !== "true";
+      img.src = showBefore ? p.beforeUrl : p.url;
+      btn.setAttribute("aria-pressed", String(showBefore));
+      btn.textContent = showBefore ? "After" : "Before";
+    });
+  });
+
   // Keep per-page download buttons aligned with current busy state.
   if (state.busy) setBusy(true);
 }
@@ -396,53 +797,68 @@ function renderGrid() {
 function renderActions() {
   const convertBtn = document.querySelector("#convertBtn");
   const downloadAllBtn = document.querySelector("#downloadAll");
-  const downloadCombinedBtn = document.querySelector("#downloadCombined");
+  const downloadTiffBtn = document.querySelector("#downloadTiff");
   const clearBtn = document.querySelector("#clearBtn");
   const imgCompressBtn = document.querySelector("#imgCompressBtn");
   const imgDownloadZipBtn = document.querySelector("#imgDownloadZipBtn");
   const imgClearBtn = document.querySelector("#imgClearBtn");
-  if (convertBtn) convertBtn.disabled = state.busy || !state.file || state.pageCount === 0;
+  if (convertBtn)
+    convertBtn.disabled = state.busy || !state.docs.length || state.pageCount === 0 || selectedPageOrder().length === 0;
   if (downloadAllBtn)
-    downloadAllBtn.disabled = state.busy || state.mode !== "individual" || state.pages.length === 0;
-  if (downloadCombinedBtn)
-    downloadCombinedBtn.disabled = state.busy || state.mode !== "combined" || !state.combined;
-  if (clearBtn) clearBtn.disabled = state.busy || (state.pages.length === 0 && !state.file);
+    downloadAllBtn.disabled =
+      state.busy ||
+      (state.mode === "individual" ? state.pages.length === 0 : state.combinedParts.length < 2);
+  if (downloadTiffBtn) {
+    const tiffPages = state.mode === "individual" && state.pages.length > 1 && state.pages.every((p) => fileExt(p.filename) === "tiff");
+    downloadTiffBtn.hidden = !tiffPages;
+    downloadTiffBtn.disabled = state.busy || !tiffPages;
+  }
+  if (clearBtn) clearBtn.disabled = state.busy || (state.pages.length === 0 && !state.docs.length);
 
   if (imgCompressBtn) imgCompressBtn.disabled = state.busy || state.imgFiles.length === 0;
   if (imgDownloadZipBtn)
     imgDownloadZipBtn.disabled =
       state.busy || state.imgFiles.length === 0 || state.imgFiles.every((x) => !x.compressed?.blob);
   if (imgClearBtn) imgClearBtn.disabled = state.busy || state.imgFiles.length === 0;
+
+  const assembleBtn = document.querySelector("#assembleBtn");
+  const assembleDownloadBtn = document.querySelector("#assembleDownloadBtn");
+  if (assembleBtn) assembleBtn.disabled = state.busy || state.imgFiles.length === 0;
+  if (assembleDownloadBtn) assembleDownloadBtn.disabled = state.busy || !state.assembled;
 }
 
 async function downloadAllAsZip() {
-  if (!state.pages.length || state.busy) return;
-  setBusy(true);
+  // Individual pages, or the parts of an auto-split combined image.
+  const items = state.mode === "combined" ? state.combinedParts : state.pages;
+  if (!items.length || state.busy) return;
+  const signal = startJob();
   try {
     setProgress(0, "Preparing ZIP…");
     const zip = new JSZip();
-    const folder = zip.folder(`${state.pdfNameBase}_${state.format.toUpperCase()}`) || zip;
+    const keys = state.mode === "combined" ? items.flatMap((p) => p.keys) : items.map((p) => p.key);
+    const label = `${state.pdfNameBase}${pageRangeSuffix(keys)}${state.mode === "combined" ? "-combined" : ""}`;
+    // Outputs keep the format they were converted with, even if the selector changed since.
+    const ext = fileExt(items[0].filename);
+    const folder = zip.folder(`${label}_${ext.toUpperCase()}`) || zip;
 
-    state.pages.forEach((p) => {
+    items.forEach((p) => {
       folder.file(p.filename, p.blob);
     });
 
-    const blob = await zip.generateAsync(
-      { type: "blob", compression: "DEFLATE", compressionOptions: { level: 6 } },
-      (meta) => {
-        // meta.percent is 0..100
-        setProgress(meta.percent || 0, `Building ZIP… ${Math.round(meta.percent || 0)}%`);
-      }
-    );
+    const blob = await generateZipBlob(zip, signal);
 
-    downloadBlob(blob, `${state.pdfNameBase}_${state.format}.zip`);
+    downloadBlob(blob, `${label}_${ext}.zip`);
     toast("Downloaded ZIP. Your images are ready for USCIS upload.", "success");
     setProgress(100, "ZIP ready.");
   } catch (err) {
-    console.error(err);
-    toast(err?.message ? String(err.message) : "Failed to create ZIP.", "error");
+    if (isAbortError(err)) {
+      toast("ZIP cancelled.", "warn");
+    } else {
+      console.error(err);
+      toast(err?.message ? String(err.message) : "Failed to create ZIP.", "error");
+    }
   } finally {
-    setBusy(false);
+    endJob();
     renderActions();
     setTimeout(() => hideProgress(), 900);
   }
@@ -450,12 +866,16 @@ async function downloadAllAsZip() {
 
 function clearImageCompression() {
   state.imgFiles.forEach((x) => {
+    URL.revokeObjectURL(x.thumbUrl);
     if (x.compressed?.url) URL.revokeObjectURL(x.compressed.url);
   });
   state.imgFiles = [];
+  clearAssembled();
   renderImageCompressionList();
+  renderAssembleList();
   renderActions();
   updateStepUI();
+  updateEnhancePreview();
 }
 
 function renderImageCompressionList() {
@@ -488,7 +908,7 @@ function renderImageCompressionList() {
     summaryText = `Compressed ${done}/${total} • Total: ${bytesToHuman(totalBefore)} → ${bytesToHuman(totalAfter)} (−${savedPct}%) • Pass: ${passed} • Fail: ${failed}`;
   } else {
     summaryText = `Loaded ${total} image${total === 1 ? "" : "s"}`;
-    if (pngCount > 0) summaryText += ` (${pngCount} PNG → JPG)`;
+    if (pngCount > 0 && state.format !== "png") summaryText += ` (${pngCount} PNG → ${formatInfo(state.format).label})`;
     summaryText += `.`;
   }
   summary.textContent = summaryText;
@@ -497,7 +917,13 @@ function renderImageCompressionList() {
     .map((x) => {
       const out = x.compressed;
       const outSize = out ? bytesToHuman(out.bytes) : "—";
-      const outQ = out ? `${Math.round(out.usedQuality * 100)}%` : "—";
+      const outQ = !out
+        ? "—"
+        : out.usedQuality != null
+          ? `${Math.round(out.usedQuality * 100)}%${out.variant ? ` (${variantLabel(out.variant)})` : ""}`
+          : out.colors
+            ? `${out.colors}-colour palette`
+            : "lossless";
       const pass = out ? out.pass : null;
       const tag =
         pass == null
@@ -506,13 +932,33 @@ function renderImageCompressionList() {
             ? `<span class="mini" style="color:var(--success);">PASS</span>`
             : `<span class="mini" style="color:var(--danger);">FAIL</span>`;
       const warn =
-        out && !out.pass
-          ? `<div class="mini" style="margin-top:6px;color:var(--muted);">Best clarity could not reach ≤ ${state.imgTargetKB} KB without dropping below min quality. Output is ${bytesToHuman(
-              out.bytes
-            )}.</div>`
+        out && !out.fits
+          ? `<div class="mini" style="margin-top:6px;color:var(--muted);">Best clarity could not reach ≤ ${state.imgTargetKB} KB without dropping below ${
+              out.usedQuality != null ? "min quality" : out.colors ? "a 16-colour palette" : "lossless"
+            }${state.imgSsimGuard ? ` or SSIM ${state.imgMinSsim}` : ""}${
+              state.imgAllowDownscale ? ` (even downscaled to a ${state.imgMinLongEdge}px long edge)` : ""
+            }. Output is ${bytesToHuman(out.bytes)}.</div>`
           : "";
-      const pngTag = x.wasPng ? `<span class="mini" style="color:var(--accent);">PNG→JPG</span>` : "";
-      const resText = x.width && x.height ? `${x.width}×${x.height} (unchanged)` : "—";
+      const issues = out?.issues.length
+        ? `<div class="mini" style="color:var(--danger);">⚠️ ${escapeHtml(activeProfile()?.name ?? "Profile")}: ${escapeHtml(out.issues.join("; "))}</div>`
+        : "";
+      const outExt = out?.ext ?? state.format;
+      const srcLabel = x.wasHeic ? "HEIC" : x.wasPng && outExt !== "png" ? "PNG" : "";
+      const pngTag = srcLabel
+        ? `<span class="mini" style="color:var(--accent);">${srcLabel}→${escapeHtml(formatInfo(outExt).label)}</span>`
+        : "";
+      const resText = !x.width || !x.height
+        ? "—"
+        : out && out.scale < 1
+          ? `${x.width}×${x.height} → ${out.width}×${out.height} (scale ×${out.scale.toFixed(2)})`
+          : `${x.width}×${x.height} (unchanged)`;
+      const exifText = x.exif ? exifSummary(x.exif) : "";
+      const gpsKept = state.imgMetadata === "all" && formatInfo(outExt).mime === "image/jpeg";
+      const gpsWarn = x.exif?.hasGps
+        ? `<div class="mini" style="color:var(--danger);">⚠️ Contains GPS location${
+            gpsKept ? ", kept in the output (“Keep all” metadata)" : "; not copied into the output"
+          }.</div>`
+        : "";
 
       return `
       <div class="card">
@@ -530,9 +976,12 @@ function renderImageCompressionList() {
             ${tag}
           </div>
           <div class="mini">Resolution: ${resText}</div>
+          ${exifText ? `<div class="mini">Photo: ${escapeHtml(exifText)}</div>` : ""}
+          ${gpsWarn}
+          ${issues}
           <div class="mini">Before: ${escapeHtml(bytesToHuman(x.origBytes))} → After: ${escapeHtml(
             outSize
-          )} • Quality used: ${escapeHtml(outQ)}</div>
+          )} • Quality used: ${escapeHtml(outQ)}${out ? ssimSuffix(out.ssim) : ""}</div>
           <div style="display:flex; gap:10px; justify-content:space-between; width:100%;">
             <button class="btn primary" data-img-download="${escapeHtml(x.id)}" ${
               out?.blob ? "" : "disabled"
@@ -554,8 +1003,7 @@ function renderImageCompressionList() {
       const item = state.imgFiles.find((x) => x.id === id);
       if (!item?.compressed?.blob) return;
       const base = pickSafeBaseName(item.file.name);
-      const ext = state.format;
-      downloadBlob(item.compressed.blob, `${base}-uscis.${ext}`);
+      downloadBlob(item.compressed.blob, `${base}-uscis.${item.compressed.ext}`);
       toast("Downloaded. Your images are ready for USCIS upload.", "success");
     });
   });
@@ -573,58 +1021,129 @@ function renderImageCompressionList() {
 async function addImages(files) {
   const list = Array.from(files || []).filter((f) => isAcceptedImage(f));
   if (!list.length) {
-    toast("Please select JPG/JPEG/PNG files.", "error");
+    toast("Please select JPG/JPEG/PNG/HEIC files.", "error");
     return;
   }
   const pngCount = list.filter((f) => isPng(f)).length;
+  const heicCount = list.filter((f) => isHeicFile(f)).length;
+  if (heicCount > 0) toast(`Decoding ${heicCount} HEIC photo${heicCount > 1 ? "s" : ""}…`, "info");
+  let added = 0;
   for (const f of list) {
     const id = uid();
     // width/height determined lazily on compress; store 0 for now
     // isPng flag helps track source format for warnings
-    state.imgFiles.push({ id, file: f, origBytes: f.size, width: 0, height: 0, wasPng: isPng(f) });
+    let thumb = /** @type {Blob} */ (f);
+    let width = 0;
+    let height = 0;
+    if (isHeicFile(f)) {
+      // Browsers can't show HEIC, so decode it now for a JPEG thumbnail (and the size).
+      try {
+        const decoded = await imageFileToCanvas(f);
+        thumb = await previewBlob(decoded.canvas);
+        ({ width, height } = decoded);
+      } catch (err) {
+        toast(`${f.name}: ${err?.message || err}`, "error");
+        continue;
+      }
+    }
+    state.imgFiles.push({
+      id,
+      file: f,
+      thumbUrl: URL.createObjectURL(thumb),
+      origBytes: f.size,
+      width,
+      height,
+      wasPng: isPng(f),
+      wasHeic: isHeicFile(f),
+      exif: await readImageExif(f).catch(() => null)
+    });
+    added++;
   }
-  if (pngCount > 0) {
-    toast(`${pngCount} PNG file${pngCount > 1 ? "s" : ""} will be converted to JPG.`, "warn");
+  if (pngCount > 0 && state.format !== "png") {
+    toast(`${pngCount} PNG file${pngCount > 1 ? "s" : ""} will be converted to ${formatInfo(state.format).label}.`, "warn");
   }
+  const gpsCount = state.imgFiles.slice(state.imgFiles.length - added).filter((x) => x.exif?.hasGps).length;
+  if (gpsCount > 0) {
+    toast(
+      `${gpsCount} photo${gpsCount > 1 ? "s contain" : " contains"} GPS location. ${
+        state.imgMetadata === "all" ? "“Keep all” metadata copies it into the output." : "It won’t be copied into the output."
+      }`,
+      "warn"
+    );
+  }
+  clearAssembled();
   renderImageCompressionList();
+  renderAssembleList();
   renderActions();
+  updateEnhancePreview();
 }
 
 async function compressImages(subset) {
   const items = subset || state.imgFiles;
   if (!items.length || state.busy) return;
 
-  const targetBytes = state.imgUscisPreset ? 600 * 1024 : Math.floor(state.imgTargetKB * 1024);
+  const targetBytes = Math.floor(state.imgTargetKB * 1024);
+  const profile = activeProfile();
   const minQ = clamp(state.imgMinQuality, 0.1, 1.0);
   const baseQ = clamp(state.quality, 0.1, 1.0);
+  const filters = hasActiveFilters(state.filters) ? { ...state.filters } : null;
+  const format = state.format;
+  const metadata = formatInfo(format).mime === "image/jpeg" ? state.imgMetadata : "strip";
 
-  setBusy(true);
+  const signal = startJob();
   try {
     const total = items.length;
     for (let i = 0; i < total; i++) {
+      throwIfAborted(signal);
       const item = items[i];
       setProgress(((i + 1) / total) * 100, `Compressing ${i + 1} / ${total}…`);
 
-      // Clean old
-      if (item.compressed?.url) URL.revokeObjectURL(item.compressed.url);
-
       const { canvas, width, height } = await imageFileToCanvas(item.file);
       item.width = width;
       item.height = height;
-
-      const res = await encodeCanvasFitUnder(canvas, {
-        targetBytes,
+      if (filters) applyFilters(canvas, filters);
+      // A profile's max dimensions are a hard limit, so shrink before the size search.
+      const fit = maxDimsScale(profile, width, height);
+      const source = fit < 1 ? scaledCanvas(canvas, fit) : canvas;
+
+      // Kept metadata counts against the target, so the image gets what's left.
+      const segment = exifSegment(item.exif, metadata);
+      const res = await encodeCanvasFitUnder(source, {
+        format,
+        targetBytes: targetBytes - (segment?.length ?? 0),
         baseQuality: baseQ,
-        minQuality: minQ
+        minQuality: minQ,
+        minSsim: state.imgSsimGuard ? state.imgMinSsim : null,
+        jpeg: jpegSettings(),
+        downscale: state.imgAllowDownscale ? { minLongEdge: state.imgMinLongEdge } : null,
+        signal
       });
 
+      const blob = segment
+        ? new Blob([insertJpegSegment(new Uint8Array(await res.blob.arrayBuffer()), segment)], { type: "image/jpeg" })
+        : res.blob;
+
+      const fits = blob.size <= targetBytes && res.pass;
+      const issues = profileIssues(profile, { width: res.width, height: res.height, format });
+
+      // Replace (and release) the previous output only once the new one is complete.
+      if (item.compressed?.url) URL.revokeObjectURL(item.compressed.url);
       item.compressed = {
-        blob: res.blob,
-        url: URL.createObjectURL(res.blob),
-        bytes: res.blob.size,
+        blob,
+        url: URL.createObjectURL(format === "tiff" ? await canvasToJpegBlob(res.canvas, 0.8) : blob),
+        ext: format,
+        bytes: blob.size,
         usedQuality: res.usedQuality,
+        colors: res.colors ?? 0,
+        ssim: res.ssim,
+        variant: res.variant ?? null,
         tried: res.tried,
-        pass: res.blob.size <= targetBytes && res.pass
+        fits,
+        issues,
+        pass: fits && !issues.length,
+        width: res.width,
+        height: res.height,
+        scale: fit * res.scale
       };
 
       renderImageCompressionList();
@@ -633,10 +1152,14 @@ async function compressImages(subset) {
 
     toast("Compression complete. Review pass/fail before downloading.", "success");
   } catch (e) {
-    console.error(e);
-    toast(e?.message ? String(e.message) : "Image compression failed.", "error");
+    if (isAbortError(e)) {
+      toast("Compression cancelled. Finished images were kept.", "warn");
+    } else {
+      console.error(e);
+      toast(e?.message ? String(e.message) : "Image compression failed.", "error");
+    }
   } finally {
-    setBusy(false);
+    endJob();
     hideProgress();
     renderActions();
   }
@@ -645,31 +1168,208 @@ async function compressImages(subset) {
 async function downloadCompressedImagesZip() {
   const done = state.imgFiles.filter((x) => x.compressed?.blob);
   if (!done.length || state.busy) return;
-  setBusy(true);
+  const signal = startJob();
   try {
     setProgress(0, "Preparing ZIP…");
     const zip = new JSZip();
-    const folder = zip.folder(`uscis_compressed_${state.format.toUpperCase()}`) || zip;
+    const exts = new Set(done.map((x) => x.compressed.ext));
+    const tag = exts.size === 1 ? [...exts][0] : "mixed";
+    const folder = zip.folder(`uscis_compressed_${tag.toUpperCase()}`) || zip;
 
     done.forEach((x) => {
       const base = pickSafeBaseName(x.file.name);
-      const ext = state.format;
-      folder.file(`${base}-uscis.${ext}`, x.compressed.blob);
+      folder.file(`${base}-uscis.${x.compressed.ext}`, x.compressed.blob);
     });
 
-    const blob = await zip.generateAsync(
-      { type: "blob", compression: "DEFLATE", compressionOptions: { level: 6 } },
-      (meta) => setProgress(meta.percent || 0, `Building ZIP… ${Math.round(meta.percent || 0)}%`)
-    );
-    downloadBlob(blob, `uscis-compressed-${state.format}.zip`);
+    const blob = await generateZipBlob(zip, signal);
+    downloadBlob(blob, `uscis-compressed-${tag}.zip`);
     toast("Downloaded ZIP. Your images are ready for USCIS upload.", "success");
+  } catch (err) {
+    if (isAbortError(err)) {
+      toast("ZIP cancelled.", "warn");
+    } else {
+      console.error(err);
+      toast(err?.message ? String(err.message) : "Failed to create ZIP.", "error");
+    }
   } finally {
-    setBusy(false);
+    endJob();
     renderActions();
     setTimeout(() => hideProgress(), 900);
   }
 }
 
+// Room kept under the size cap for the PDF structure around the JPEGs.
+const PDF_OVERHEAD_BYTES = 1024;
+const PDF_PAGE_OVERHEAD_BYTES = 512;
+
+function clearAssembled() {
+  state.assembled = null;
+  renderAssembleResult();
+  renderActions();
+}
+
+function renderAssembleList() {
+  const host = document.querySelector("#assembleList");
+  if (!host) return;
+  if (!state.imgFiles.length) {
+    host.innerHTML = `<div class="mini" style="margin-top:12px;">No images yet. Add photos or scans here or in Image → Image.</div>`;
+    return;
+  }
+  host.innerHTML = `
+    <div class="mini" style="margin-top:12px;">Pages (drag to reorder):</div>
+    <div class="reorderList" id="assembleOrder">
+      ${state.imgFiles
+        .map(
+          (x, i) => `
+        <div class="reorderItem" draggable="${state.busy ? "false" : "true"}" data-img="${escapeHtml(x.id)}">
+          <div class="pageThumb"><img src="${x.thumbUrl}" alt="${escapeHtml(x.file.name)}" /></div>
+          <div class="pageTileMeta">
+            <span class="mini" title="${escapeHtml(x.file.name)}">${i + 1}. ${escapeHtml(x.file.name)}</span>
+          </div>
+        </div>
+      `
+        )
+        .join("")}
+    </div>
+  `;
+
+  const list = host.querySelector("#assembleOrder");
+  let dragging = null;
+  list.querySelectorAll(".reorderItem").forEach((item) => {
+    item.addEventListener("dragstart", (e) => {
+      if (state.busy) {
+        e.preventDefault();
+        return;
+      }
+      dragging = item;
+      item.classList.add("dragging");
+      e.dataTransfer.effectAllowed = "move";
+    });
+    item.addEventListener("dragend", () => {
+      item.classList.remove("dragging");
+      dragging = null;
+      // The order is shared with the image tool's list.
+      const ids = Array.from(list.querySelectorAll(".reorderItem")).map((x) => x.getAttribute("data-img"));
+      state.imgFiles = ids.map((id) => state.imgFiles.find((x) => x.id === id));
+      clearAssembled();
+      renderAssembleList();
+      renderImageCompressionList();
+      updateEnhancePreview();
+    });
+    item.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      const target = item;
+      if (!dragging || dragging === target) return;
+      const rect = target.getBoundingClientRect();
+      const after = e.clientX > rect.left + rect.width / 2;
+      list.insertBefore(dragging, after ? target.nextSibling : target);
+    });
+  });
+}
+
+function renderAssembleResult() {
+  const summary = document.querySelector("#assembleSummary");
+  if (!summary) return;
+  const a = state.assembled;
+  if (!a) {
+    summary.textContent = "";
+    return;
+  }
+  const scaled = a.downscaled ? ` • ${a.downscaled} image${a.downscaled === 1 ? "" : "s"} downscaled` : "";
+  const verdict = state.assembleFitUnder ? (a.pass ? " • PASS" : ` • FAIL (over ${state.assembleMaxMB} MB)`) : "";
+  summary.textContent = `${a.filename} • ${a.pages} page${a.pages === 1 ? "" : "s"} • ${bytesToHuman(a.bytes)}${scaled}${verdict}`;
+}
+
+// Each image gets an equal share of what is left under the cap, so room that small images
+// don't use passes on to the later ones. An image already compressed to JPEG goes in as it
+// is when it fits its share; the others are re-encoded from their original (with the shared
+// filters), so nothing is compressed twice.
+async function assemblePdf() {
+  const items = state.imgFiles.slice();
+  if (!items.length || state.busy) return;
+  clearAssembled();
+
+  const limit = state.assembleFitUnder ? Math.floor(state.assembleMaxMB * 1024 * 1024) : null;
+  const filters = hasActiveFilters(state.filters) ? { ...state.filters } : null;
+
+  const signal = startJob();
+  try {
+    const pages = [];
+    let used = PDF_OVERHEAD_BYTES + PDF_PAGE_OVERHEAD_BYTES * items.length;
+    let downscaled = 0;
+    for (let i = 0; i < items.length; i++) {
+      throwIfAborted(signal);
+      setProgress((i / items.length) * 100, `Placing image ${i + 1} / ${items.length}…`);
+      const budget = limit ? Math.max(1, Math.floor((limit - used) / (items.length - i))) : null;
+      const compressed = items[i].compressed;
+      let res = compressed;
+      if (!compressed || formatInfo(compressed.ext).mime !== "image/jpeg" || (budget && compressed.bytes > budget)) {
+        const { canvas } = await imageFileToCanvas(items[i].file);
+        if (filters) applyFilters(canvas, filters);
+        res = await encodeCanvasFitUnder(canvas, {
+          format: "jpg",
+          targetBytes: budget,
+          baseQuality: clamp(state.quality, 0.1, 1.0),
+          minQuality: clamp(state.imgMinQuality, 0.1, 1.0),
+          minSsim: state.imgSsimGuard ? state.imgMinSsim : null,
+          jpeg: jpegSettings(),
+          downscale: state.imgAllowDownscale ? { minLongEdge: state.imgMinLongEdge } : null,
+          signal
+        });
+      }
+      const jpeg = new Uint8Array(await res.blob.arrayBuffer());
+      pages.push({ jpeg, placement: placeImage(res.width, res.height, state.assemblePageSize, state.assembleMargin) });
+      used += jpeg.length;
+      if (res.scale < 1) downscaled++;
+      await new Promise((r) => setTimeout(r, 0));
+    }
+
+    const blob = buildPdf(pages);
+    state.assembled = {
+      blob,
+      filename: `${pickSafeBaseName(items[0].file.name)}${items.length > 1 ? "-assembled" : ""}.pdf`,
+      bytes: blob.size,
+      pages: pages.length,
+      downscaled,
+      pass: !limit || blob.size <= limit
+    };
+    setProgress(100, "PDF ready.");
+    renderAssembleResult();
+    toast(
+      state.assembled.pass ? "PDF ready." : `PDF is ${bytesToHuman(blob.size)}, over the ${state.assembleMaxMB} MB cap.`,
+      state.assembled.pass ? "success" : "warn"
+    );
+    const profile = activeProfile();
+    if (!allowsFormat(profile, "pdf")) toast(`${profile.name} doesn't accept PDF uploads.`, "warn");
+  } catch (err) {
+    if (isAbortError(err)) {
+      toast("PDF assembly cancelled.", "warn");
+    } else {
+      console.error(err);
+      toast(err?.message ? String(err.message) : "Failed to build the PDF.", "error");
+    }
+  } finally {
+    endJob();
+    renderActions();
+    setTimeout(() => hideProgress(), 900);
+  }
+}
+
+// TIFF pages can also go out as one multi-page file, in the current page order.
+async function downloadMultiPageTiff() {
+  if (state.pages.length < 2 || state.busy) return;
+  try {
+    const pages = [];
+    for (const p of state.pages) pages.push(...readTiffPages(await p.blob.arrayBuffer()));
+    const keys = state.pages.map((p) => p.key);
+    downloadBlob(writeTiff(pages), `${state.pdfNameBase}${pageRangeSuffix(keys)}.tiff`);
+    toast(`Downloaded ${pages.length}-page TIFF.`, "success");
+  } catch (err) {
+    console.error(err);
+    toast(err?.message ? String(err.message) : "Failed to build the multi-page TIFF.", "error");
+  }
+}
+
 function updateSizeUI() {
   const host = document.querySelector("#sizeHost");
   const warnHost = document.querySelector("#warnHost");
@@ -677,26 +1377,46 @@ function updateSizeUI() {
 
   let line = "Convert to see file sizes";
   let warn = "";
+  const limit = sizeLimit();
+  const profile = activeProfile();
 
   if (state.mode === "individual" && state.pages.length) {
     const totalBytes = state.pages.reduce((s, p) => s + p.bytes, 0);
     line = `Estimated total download: ${bytesToHuman(totalBytes)} (pages: ${state.pages.length})`;
-    const over = state.pages.filter((p) => p.bytes > SIX_MB);
+    const over = state.pages.filter((p) => p.bytes > limit.bytes);
+    const off = state.pages.filter((p) => profileIssues(profile, p).length);
     if (over.length) {
-      warn = `Warning: ${over.length} file${over.length === 1 ? "" : "s"} exceed 6MB (common USCIS limit). Try lowering quality, using DPI 2x, or splitting your document.`;
+      warn = `Warning: ${over.length} file${over.length === 1 ? "" : "s"} exceed ${limit.label} (${limit.source}). Try lowering quality or DPI, or splitting your document.`;
+    } else if (off.length) {
+      warn = `Warning: ${off.length} file${off.length === 1 ? "" : "s"} break the ${profile.name} dimension rules (see the pages below).`;
     }
   }
 
-  if (state.mode === "combined" && state.combined) {
-    line = `Combined image: ${state.combined.width}×${state.combined.height} • ${bytesToHuman(
-      state.combined.bytes
+  const parts = state.combinedParts;
+  if (state.mode === "combined" && parts.length === 1) {
+    const scaled = parts[0].scale < 1 ? ` (downscaled ×${parts[0].scale.toFixed(2)})` : "";
+    line = `Combined image: ${parts[0].width}×${parts[0].height}${scaled} • ${state.sizing === "fit" ? "≥ " : ""}${parts[0].dpi} DPI • ${bytesToHuman(
+      parts[0].bytes
     )}`;
-    if (state.combined.bytes > SIX_MB) {
-      warn =
-        "Warning: combined output exceeds 6MB (common USCIS limit). Try lower quality, DPI 2x, or use Individual Pages.";
+    const issues = profileIssues(profile, parts[0]);
+    if (parts[0].bytes > limit.bytes) {
+      warn = `Warning: combined output exceeds ${limit.label} (${limit.source}). Try lower quality or DPI, or use Individual Pages.`;
+    } else if (issues.length) {
+      warn = `Warning: combined output breaks the ${profile.name} rules: ${issues.join("; ")}.`;
+    }
+  } else if (state.mode === "combined" && parts.length > 1) {
+    const totalBytes = parts.reduce((s, p) => s + p.bytes, 0);
+    line = `Combined in ${parts.length} parts: ${bytesToHuman(totalBytes)} total`;
+    const over = parts.filter((p) => !p.pass);
+    if (over.length) {
+      warn = `Warning: ${over.length} part${over.length === 1 ? "" : "s"} still exceed ${state.maxSizeMB}MB (a single page is too large). Try lower quality or DPI, or use Individual Pages.`;
     }
   }
 
+  if (!warn && profile && !allowsFormat(profile, state.format) && (state.pages.length || parts.length)) {
+    warn = `Warning: ${profile.name} doesn't accept .${state.format} files (accepts ${profile.formats.map((f) => `.${f}`).join(", ")}).`;
+  }
+
   host.textContent = line;
   warnHost.innerHTML = warn ? `<div class="warn">${escapeHtml(warn)}</div>` : "";
 }
@@ -708,9 +1428,9 @@ function updateStepUI() {
   const s3 = document.querySelector("#step3");
   const s4 = document.querySelector("#step4");
   if (s1 && s2 && s3 && s4) {
-    const uploaded = !!state.file && state.pageCount > 0;
+    const uploaded = state.docs.length > 0 && state.pageCount > 0;
     const converted =
-      (state.mode === "individual" && state.pages.length > 0) || (state.mode === "combined" && !!state.combined);
+      (state.mode === "individual" && state.pages.length > 0) || (state.mode === "combined" && state.combinedParts.length > 0);
 
     s1.className = `step ${uploaded ? "done" : "active"}`;
     s2.className = `step ${uploaded ? "active" : ""} ${converted ? "done" : ""}`;
@@ -718,7 +1438,13 @@ function updateStepUI() {
     s4.className = `step ${converted ? "active" : ""} ${converted ? "done" : ""}`;
 
     const pageCountEl = document.querySelector("#pageCountLabel");
-    if (pageCountEl) pageCountEl.textContent = uploaded ? `${state.pageCount}` : "—";
+    const selected = uploaded ? selectedPageOrder().length : 0;
+    if (pageCountEl)
+      pageCountEl.textContent = !uploaded
+        ? "—"
+        : selected === state.pageCount
+          ? `${state.pageCount}`
+          : `${selected} of ${state.pageCount}`;
   }
 
   // Image mode steps
@@ -742,28 +1468,38 @@ function renderCombinedPreview() {
   const host = document.querySelector("#combinedPreviewHost");
   if (!host) return;
   // Hide when not in PDF mode or not in combined mode
-  if (state.appMode !== "pdf" || state.mode !== "combined" || !state.combined) {
+  const parts = state.combinedParts;
+  if (state.appMode !== "pdf" || state.mode !== "combined" || !parts.length) {
     host.innerHTML = "";
     return;
   }
-  host.innerHTML = `
+  host.innerHTML = parts
+    .map((p, i) => {
+      const span = p.keys.length > 1 ? `${pageLabel(p.keys[0])} – ${pageLabel(p.keys[p.keys.length - 1])}` : pageLabel(p.keys[0]);
+      const label = parts.length > 1 ? `Part ${i + 1} of ${parts.length} (${span}) • ` : "";
+      return `
     <div class="previewSingle">
       <div class="top">
-        <div class="mini">${escapeHtml(state.combined.filename)} • ${escapeHtml(
-          bytesToHuman(state.combined.bytes)
-        )}</div>
-        <button id="downloadCombined" class="btn primary" type="button" data-disable-when-busy>Download JPG</button>
+        <div class="mini">${escapeHtml(label)}${escapeHtml(p.filename)} • ${escapeHtml(bytesToHuman(p.bytes))}${ssimSuffix(p.ssim)}</div>
+        <button class="btn primary" type="button" data-download-part="${i}" data-disable-when-busy>Download ${escapeHtml(
+          fileExt(p.filename).toUpperCase()
+        )}</button>
       </div>
       <div class="imgWrap">
-        <img src="${state.combined.url}" alt="Combined document preview" />
+        <img src="${p.url}" alt="${escapeHtml(parts.length > 1 ? `Combined part ${i + 1} preview` : "Combined document preview")}" />
       </div>
     </div>
   `;
+    })
+    .join("");
 
-  host.querySelector("#downloadCombined")?.addEventListener("click", () => {
-    if (!state.combined) return;
-    downloadBlob(state.combined.blob, state.combined.filename);
-    toast("Downloaded. Your images are ready for USCIS upload.", "success");
+  host.querySelectorAll("[data-download-part]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const part = state.combinedParts[Number(btn.getAttribute("data-download-part"))];
+      if (!part) return;
+      downloadBlob(part.blob, part.filename);
+      toast("Downloaded. Your images are ready for USCIS upload.", "success");
+    });
   });
 
   if (state.busy) setBusy(true);
@@ -774,7 +1510,7 @@ let _estimateToken = 0;
 async function updateCombinedEstimate() {
   const el = document.querySelector("#combinedPlan");
   if (!el) return;
-  if (!state.pdfDoc || state.pageCount < 1 || state.mode !== "combined") {
+  if (!state.docs.length || state.pageCount < 1 || state.mode !== "combined") {
     el.textContent = "";
     return;
   }
@@ -782,45 +1518,195 @@ async function updateCombinedEstimate() {
   el.textContent = "Estimating combined dimensions…";
 
   try {
-    const dpi = state.dpiScale === 3 ? 3 : 2;
-    const order = state.pageOrder.length ? state.pageOrder : Array.from({ length: state.pageCount }, (_, i) => i + 1);
+    const sizing = sizingSettings();
+    const order = selectedPageOrder();
+    if (!order.length) {
+      el.textContent = "No pages selected.";
+      return;
+    }
     const dims = [];
     for (let i = 0; i < order.length; i++) {
       if (token !== _estimateToken) return;
-      const page = await state.pdfDoc.getPage(order[i]);
-      const vp = page.getViewport({ scale: dpi });
-      dims.push({ width: Math.floor(vp.width), height: Math.floor(vp.height) });
+      const { doc, pageNumber } = pageRef(order[i]);
+      const page = await doc.pdfDoc.getPage(pageNumber);
+      const rotation = pageRotation(page, state.rotations[order[i]]);
+      const vp = page.getViewport({ scale: renderScale(page, rotation, sizing), rotation });
+      dims.push({ width: Math.floor(vp.width), height: Math.floor(vp.height), dpi: Math.round(vp.scale * 72) });
     }
-    const plan = calcCombinedPlan(dims);
+    const layout = { layout: state.layout, columns: state.gridColumns, spacing: state.spacing };
+    const plan = calcCombinedPlan(dims, layout);
     const guard = canvasSizeGuard(plan.width, plan.height);
-    el.textContent = `Estimated combined: ${plan.width}×${plan.height} (${order.length} pages, spacing ${plan.spacing}px)${
-      guard ? " • Too large (adjust settings)" : ""
-    }`;
+    let note = "";
+    if (guard && state.autoSplit) {
+      const { groups, error } = packByDimensions(dims, layout);
+      note = error ? " • A single page is too large (adjust settings)" : ` • Auto-split into at least ${groups.length} parts`;
+    } else if (guard) {
+      note = " • Too large (adjust settings or enable auto-split)";
+    }
+    const grid = plan.columns > 1 ? `, ${plan.columns}×${plan.rows} grid` : "";
+    const cropped = state.autoCrop ? ", before auto-crop" : "";
+    const dpis = dims.map((d) => d.dpi);
+    const dpiText =
+      Math.min(...dpis) === Math.max(...dpis) ? `${dpis[0]} DPI` : `${Math.min(...dpis)}–${Math.max(...dpis)} DPI`;
+    el.textContent = `Estimated combined: ${plan.width}×${plan.height} at ${dpiText} (${order.length} pages${grid}, gutter ${plan.spacing}px${cropped})${note}`;
   } catch {
     el.textContent = "";
   }
 }
 
+const ENHANCE_PREVIEW_WIDTH = 480;
+let _enhanceSource = { key: "", canvas: /** @type {HTMLCanvasElement|null} */ (null) };
+let _enhanceToken = 0;
+
+// Downscaled copy of what the visible tool processes first: the first selected PDF page
+// (with its rotation) or the first queued image. Cached until that source changes.
+async function enhanceSourceCanvas() {
+  let key = "";
+  if (state.appMode === "pdf") {
+    const first = selectedPageOrder()[0];
+    if (first) key = `pdf:${first}:${state.rotations[first] || 0}`;
+  } else if (state.imgFiles[0]) {
+    key = `img:${state.imgFiles[0].id}`;
+  }
+  if (!key) return null;
+  if (_enhanceSource.key === key) return _enhanceSource.canvas;
+
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d", { alpha: false });
+  if (state.appMode === "pdf") {
+    const first = selectedPageOrder()[0];
+    const { doc, pageNumber } = pageRef(first);
+    const page = await doc.pdfDoc.getPage(pageNumber);
+    const rotation = pageRotation(page, state.rotations[first]);
+    const scale = ENHANCE_PREVIEW_WIDTH / page.getViewport({ scale: 1, rotation }).width;
+    const viewport = page.getViewport({ scale, rotation });
+    canvas.width = Math.max(1, Math.floor(viewport.width));
+    canvas.height = Math.max(1, Math.floor(viewport.height));
+    await page.render({ canvasContext: ctx, viewport }).promise;
+  } else {
+    const { canvas: full } = await imageFileToCanvas(state.imgFiles[0].file);
+    const scale = Math.min(1, ENHANCE_PREVIEW_WIDTH / full.width);
+    canvas.width = Math.max(1, Math.round(full.width * scale));
+    canvas.height = Math.max(1, Math.round(full.height * scale));
+    ctx.drawImage(full, 0, 0, canvas.width, canvas.height);
+  }
+  _enhanceSource = { key, canvas };
+  return canvas;
+}
+
+async function updateEnhancePreview() {
+  const out = /** @type {HTMLCanvasElement|null} */ (document.querySelector("#enhancePreview"));
+  const label = document.querySelector("#enhancePreviewLabel");
+  if (!out || !label) return;
+  const token = ++_enhanceToken;
+  let src = null;
+  try {
+    src = await enhanceSourceCanvas();
+  } catch (err) {
+    console.warn("Enhancement preview failed.", err);
+  }
+  if (token !== _enhanceToken) return;
+  if (!src) {
+    out.hidden = true;
+    label.textContent = state.appMode === "pdf" ? "Load a PDF to preview." : "Add an image to preview.";
+    return;
+  }
+  out.width = src.width;
+  out.height = src.height;
+  out.getContext("2d", { alpha: false }).drawImage(src, 0, 0);
+  applyFilters(out, state.filters);
+  out.hidden = false;
+  label.textContent = `Preview: ${
+    state.appMode === "pdf" ? pageLabel(selectedPageOrder()[0]) : state.imgFiles[0].file.name
+  }${hasActiveFilters(state.filters) ? "" : " (no filters)"}`;
+}
+
+const THUMB_WIDTH = 120;
+let _thumbToken = 0;
+
+// Low-res previews for the page picker; filled in progressively after load.
+async function renderThumbnails() {
+  const token = ++_thumbToken;
+  for (const key of allPageKeys()) {
+    if (token !== _thumbToken) return;
+    if (state.thumbs.has(key)) continue;
+    const { doc, pageNumber } = pageRef(key);
+    try {
+      const page = await doc.pdfDoc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: THUMB_WIDTH / page.getViewport({ scale: 1 }).width });
+      const canvas = document.createElement("canvas");
+      const ctx = canvas.getContext("2d", { alpha: false });
+      canvas.width = Math.max(1, Math.floor(viewport.width));
+      canvas.height = Math.max(1, Math.floor(viewport.height));
+      await page.render({ canvasContext: ctx, viewport }).promise;
+      const blob = await canvasToJpegBlob(canvas, 0.7);
+      if (token !== _thumbToken) return;
+      const url = URL.createObjectURL(blob);
+      state.thumbs.set(key, url);
+      document.querySelectorAll(`[data-thumb="${key}"]`).forEach((el) => {
+        el.innerHTML = `<img src="${url}" alt="${escapeHtml(pageLabel(key))} thumbnail" />`;
+      });
+    } catch (err) {
+      // Thumbnails are best-effort; the page itself may still convert.
+      console.warn(`Thumbnail for ${pageLabel(key)} failed.`, err);
+    }
+    await new Promise((r) => setTimeout(r, 0));
+  }
+}
+
+function rotatePage(key, delta) {
+  const next = (((state.rotations[key] || 0) + delta) % 360 + 360) % 360;
+  if (next) state.rotations[key] = next;
+  else delete state.rotations[key];
+  renderReorderUI();
+  updateCombinedEstimate();
+  updateEnhancePreview();
+}
+
+// One page list for both modes: drag to reorder, checkbox to include, buttons to rotate.
 function renderReorderUI() {
   const host = document.querySelector("#reorderHost");
   if (!host) return;
-  if (!state.pdfDoc || state.pageCount < 2 || state.mode !== "combined") {
+  if (!state.docs.length || state.pageCount < 1) {
     host.innerHTML = "";
     return;
   }
-  const order = state.pageOrder.length ? state.pageOrder : Array.from({ length: state.pageCount }, (_, i) => i + 1);
+  const order = state.pageOrder;
+  const thumbImg = (key) => {
+    const url = state.thumbs.get(key);
+    return url ? `<img src="${url}" alt="${escapeHtml(pageLabel(key))} thumbnail" />` : "";
+  };
   host.innerHTML = `
-    <div class="mini" style="margin-top:12px;">Reorder pages before combining (drag to reorder):</div>
+    <div class="mini" style="margin-top:12px;">Pages (drag to reorder, uncheck to exclude, rotate as needed):</div>
     <div class="reorderList" id="reorderList">
       ${order
-        .map(
-          (n) => `
-        <div class="reorderItem" draggable="true" data-page="${n}">
-          <div class="handle">≡ <span>Page ${n}</span></div>
-          <div class="mini">Drag</div>
+        .map((key) => {
+          const included = !state.excludedPages.has(key);
+          const rot = state.rotations[key] || 0;
+          const label = escapeHtml(pageLabel(key));
+          return `
+        <div class="reorderItem ${included ? "" : "excluded"}" draggable="${state.busy ? "false" : "true"}" data-page="${key}">
+          <div class="pageThumb" data-thumb="${key}" data-rot="${rot}">${thumbImg(key)}</div>
+          <div class="pageTileMeta">
+            <label class="pageInclude" title="${label}">
+              <input type="checkbox" data-page-include="${key}" ${included ? "checked" : ""} data-disable-when-busy ${
+                state.busy ? "disabled" : ""
+              } />
+              <span>${label}</span>
+            </label>
+            <span class="mini">${rot ? `${rot}°` : ""}</span>
+          </div>
+          <div class="rotateBtns">
+            <button class="btn" type="button" data-rotate="${key}" data-delta="-90" title="Rotate left" data-disable-when-busy ${
+              state.busy ? "disabled" : ""
+            }>↺</button>
+            <button class="btn" type="button" data-rotate="${key}" data-delta="90" title="Rotate right" data-disable-when-busy ${
+              state.busy ? "disabled" : ""
+            }>↻</button>
+          </div>
         </div>
-      `
-        )
+      `;
+        })
         .join("")}
     </div>
   `;
@@ -828,8 +1714,27 @@ function renderReorderUI() {
   const list = host.querySelector("#reorderList");
   let dragging = null;
 
+  list.querySelectorAll("[data-page-include]").forEach((box) => {
+    box.addEventListener("change", () => {
+      const key = box.getAttribute("data-page-include");
+      if (box.checked) state.excludedPages.delete(key);
+      else state.excludedPages.add(key);
+      pageSelectionChanged();
+    });
+  });
+
+  list.querySelectorAll("[data-rotate]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      rotatePage(btn.getAttribute("data-rotate"), Number(btn.getAttribute("data-delta")));
+    });
+  });
+
   list.querySelectorAll(".reorderItem").forEach((item) => {
     item.addEventListener("dragstart", (e) => {
+      if (state.busy) {
+        e.preventDefault();
+        return;
+      }
       dragging = item;
       item.classList.add("dragging");
       e.dataTransfer.effectAllowed = "move";
@@ -838,138 +1743,216 @@ function renderReorderUI() {
       item.classList.remove("dragging");
       dragging = null;
       // Commit new order
-      const next = Array.from(list.querySelectorAll(".reorderItem")).map((x) =>
-        Number(x.getAttribute("data-page"))
-      );
-      state.pageOrder = next;
+      state.pageOrder = Array.from(list.querySelectorAll(".reorderItem")).map((x) => x.getAttribute("data-page"));
       updateCombinedEstimate();
+      updateEnhancePreview();
     });
     item.addEventListener("dragover", (e) => {
       e.preventDefault();
       const target = item;
       if (!dragging || dragging === target) return;
       const rect = target.getBoundingClientRect();
-      const after = e.clientY > rect.top + rect.height / 2;
+      const after = e.clientX > rect.left + rect.width / 2;
       list.insertBefore(dragging, after ? target.nextSibling : target);
     });
   });
 }
 
+function sizingSettings() {
+  return state.sizing === "fit"
+    ? { mode: "fit", maxWidth: state.maxWidth, maxHeight: state.maxHeight }
+    : { mode: "dpi", dpi: state.dpi };
+}
+
+function conversionSettings(order) {
+  return {
+    mode: state.mode,
+    // Plain refs (no keys/File objects) so the settings can be posted to the worker.
+    order: order.map((key) => {
+      const { docIndex, pageNumber } = pageRef(key);
+      return { doc: docIndex, pageNumber, rotation: state.rotations[key] || 0 };
+    }),
+    format: state.format,
+    sizing: sizingSettings(),
+    quality: state.quality,
+    compress: state.compress,
+    targetBytes: state.fitUnderMax ? Math.floor(state.maxSizeMB * 1024 * 1024) : null,
+    minQuality: state.minQuality,
+    minSsim: state.ssimGuard ? state.minSsim : null,
+    jpeg: jpegSettings(),
+    downscale: state.allowDownscale ? { minDpi: state.minDpi } : null,
+    spacing: state.spacing,
+    layout: state.layout,
+    columns: state.gridColumns,
+    background: state.background,
+    cleanup:
+      state.autoCrop || state.deskew
+        ? { crop: state.autoCrop, deskew: state.deskew, padding: state.cropPadding }
+        : null,
+    filters: hasActiveFilters(state.filters) ? { ...state.filters } : null,
+    autoSplit: state.autoSplit,
+    splitBytes: Math.floor(state.maxSizeMB * 1024 * 1024)
+  };
+}
+
+// Set once the worker fails before opening a PDF (e.g. pdf.js can't start there);
+// later conversions go straight to the main-thread path.
+let _workerUnavailable = false;
+
+function canUseConversionWorker() {
+  return (
+    !_workerUnavailable &&
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof OffscreenCanvas.prototype.convertToBlob === "function"
+  );
+}
+
+function convertInWorker(settings, hooks, signal) {
+  throwIfAborted(signal);
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./convert.worker.js", import.meta.url), { type: "module" });
+    let ready = false;
+    // Terminating is the cancellation path: anything the worker hasn't posted yet is dropped.
+    const onAbort = () => finish(reject, abortError());
+    const finish = (fn, value) => {
+      signal?.removeEventListener("abort", onAbort);
+      worker.terminate();
+      fn(value);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const startupError = (message) => {
+      const err = new Error(message || "Conversion worker failed to start.");
+      err.workerUnavailable = true;
+      return err;
+    };
+
+    worker.addEventListener("message", (e) => {
+      const msg = e.data;
+      if (msg.type === "ready") ready = true;
+      else if (msg.type === "page") hooks.onPage(msg.page);
+      else if (msg.type === "progress") hooks.onProgress(msg.pct, msg.text);
+      else if (msg.type === "done") finish(resolve, msg.parts);
+      else if (msg.type === "error") finish(reject, ready ? new Error(msg.message) : startupError(msg.message));
+    });
+    worker.addEventListener("error", (e) => {
+      e.preventDefault();
+      finish(reject, ready ? new Error(e.message || "Conversion failed.") : startupError(e.message));
+    });
+
+    const docs = state.docs.map((d) => d.data.slice(0));
+    worker.postMessage({ type: "convert", docs, settings }, docs);
+  });
+}
+
+async function convertPages(settings, hooks, signal) {
+  if (canUseConversionWorker()) {
+    try {
+      return await convertInWorker(settings, hooks, signal);
+    } catch (err) {
+      if (!err?.workerUnavailable) throw err;
+      console.warn("Conversion worker unavailable, rendering on the main thread.", err);
+      _workerUnavailable = true;
+    }
+  }
+  return await convertPdfPages(
+    state.docs.map((d) => d.pdfDoc),
+    settings,
+    hooks,
+    signal
+  );
+}
+
+function pageNote(p) {
+  const parts = [];
+  if (p.angle) parts.push(`deskewed ${p.angle > 0 ? "" : "−"}${Math.abs(p.angle).toFixed(1)}°`);
+  if (p.crop) parts.push(`cropped to ${p.crop.width}×${p.crop.height}`);
+  if (p.before && hasActiveFilters(state.filters)) parts.push("enhanced");
+  if (p.before && !parts.length) parts.push("no cleanup needed");
+  if (p.scale < 1) parts.push(`downscaled to ${p.width}×${p.height} (×${p.scale.toFixed(2)})`);
+  return parts.join(" • ");
+}
+
 async function runConversion() {
-  if (!state.pdfDoc || !state.file || state.pageCount < 1 || state.busy) return;
+  if (!state.docs.length || state.pageCount < 1 || state.busy) return;
 
-  // clear prior outputs
-  state.pages.forEach((p) => URL.revokeObjectURL(p.url));
-  if (state.combined?.url) URL.revokeObjectURL(state.combined.url);
-  state.pages = [];
-  state.combined = null;
-  renderGrid();
-  renderCombinedPreview();
-  updateSizeUI();
-  updateStepUI();
+  clearOutputs();
 
-  setBusy(true);
+  const signal = startJob();
   try {
-    const dpi = state.dpiScale === 3 ? 3 : 2;
-    const order = state.pageOrder.length ? state.pageOrder : Array.from({ length: state.pageCount }, (_, i) => i + 1);
+    const order = selectedPageOrder();
+    if (!order.length) throw new Error("No pages selected. Adjust the page range.");
+    const settings = conversionSettings(order);
+    const ext = state.format;
+    const label = formatInfo(ext).label;
 
     if (state.mode === "individual") {
-      toast("Converting pages to JPG…", "info");
-      const out = [];
-      for (let i = 0; i < order.length; i++) {
-        const pageNumber = order[i];
-        const page = await state.pdfDoc.getPage(pageNumber);
-        const viewport = page.getViewport({ scale: dpi });
-
-        const canvas = document.createElement("canvas");
-        const ctx = canvas.getContext("2d", { alpha: false });
-        canvas.width = Math.floor(viewport.width);
-        canvas.height = Math.floor(viewport.height);
-        await page.render({ canvasContext: ctx, viewport }).promise;
-
-        const { blob } = await encodeCanvasSmart(canvas);
-        const ext = state.format;
-        const filename = `${state.pdfNameBase}-page${pageNumber}.${ext}`;
-        const url = URL.createObjectURL(blob);
-        out.push({
-          pageNumber,
-          blob,
-          url,
-          filename,
-          bytes: blob.size,
-          width: canvas.width,
-          height: canvas.height
-        });
-        state.pages = out;
-
-        setProgress(((i + 1) / order.length) * 100, `Rendering page ${i + 1} / ${order.length}…`);
-        renderGrid();
-        updateSizeUI();
-        await new Promise((r) => setTimeout(r, 0));
-      }
+      toast(`Converting pages to ${label}…`, "info");
+      await convertPages(settings, {
+        onPage: (p) => {
+          if (signal.aborted) return;
+          const key = order[p.index];
+          state.pages = state.pages.concat({
+            key,
+            pageNumber: p.pageNumber,
+            blob: p.blob,
+            url: URL.createObjectURL(p.preview || p.blob),
+            beforeUrl: p.before ? URL.createObjectURL(p.before) : null,
+            pageNote: pageNote(p),
+            filename: pageFilename(p.index, key, order),
+            bytes: p.blob.size,
+            width: p.width,
+            height: p.height,
+            scale: p.scale,
+            dpi: p.dpi,
+            ssim: p.ssim
+          });
+          renderGrid();
+          updateSizeUI();
+        },
+        onProgress: (pct, text) => setProgress(pct, text)
+      }, signal);
       setProgress(100, "Done.");
       toast("Conversion complete.", "success");
-    } else {
-      toast("Building combined JPG…", "info");
-      // dimensions-only pass
-      const dims = [];
-      for (let i = 0; i < order.length; i++) {
-        const page = await state.pdfDoc.getPage(order[i]);
-        const vp = page.getViewport({ scale: dpi });
-        dims.push({ pageNumber: order[i], width: Math.floor(vp.width), height: Math.floor(vp.height) });
-      }
-      const plan = calcCombinedPlan(dims);
-      const guard = canvasSizeGuard(plan.width, plan.height);
-      if (guard) throw new Error(guard);
-
-      const combinedCanvas = document.createElement("canvas");
-      const combinedCtx = combinedCanvas.getContext("2d", { alpha: false });
-      combinedCanvas.width = plan.width;
-      combinedCanvas.height = plan.height;
-      combinedCtx.fillStyle = "#ffffff";
-      combinedCtx.fillRect(0, 0, combinedCanvas.width, combinedCanvas.height);
-
-      let y = 0;
-      for (let i = 0; i < dims.length; i++) {
-        const pageNumber = dims[i].pageNumber;
-        const page = await state.pdfDoc.getPage(pageNumber);
-        const viewport = page.getViewport({ scale: dpi });
-
-        const tmp = document.createElement("canvas");
-        const tctx = tmp.getContext("2d", { alpha: false });
-        tmp.width = Math.floor(viewport.width);
-        tmp.height = Math.floor(viewport.height);
-        await page.render({ canvasContext: tctx, viewport }).promise;
-
-        combinedCtx.drawImage(tmp, 0, y);
-        y += tmp.height + plan.spacing;
-
-        setProgress(((i + 1) / dims.length) * 100, `Stacking page ${i + 1} / ${dims.length}…`);
-        await new Promise((r) => setTimeout(r, 0));
-      }
-
-      const { blob } = await encodeCanvasSmart(combinedCanvas);
-      const ext = state.format;
-      const filename = `${state.pdfNameBase}-combined.${ext}`;
-      state.combined = {
-        blob,
-        url: URL.createObjectURL(blob),
-        filename,
-        bytes: blob.size,
-        width: combinedCanvas.width,
-        height: combinedCanvas.height
-      };
+    } else {
+      toast(`Building combined ${label}…`, "info");
+      const parts = await convertPages(settings, {
+        onPage: () => {},
+        onProgress: (pct, text) => setProgress(pct, text)
+      }, signal);
+      const base = `${state.pdfNameBase}${pageRangeSuffix(order)}-combined`;
+      state.combinedParts = parts.map((p, i) => ({
+        keys: order.slice(p.start, p.start + p.count),
+        blob: p.blob,
+        url: URL.createObjectURL(p.preview || p.blob),
+        filename: parts.length > 1 ? `${base}-part${i + 1}.${ext}` : `${base}.${ext}`,
+        bytes: p.blob.size,
+        width: p.width,
+        height: p.height,
+        scale: p.scale,
+        dpi: p.dpi,
+        ssim: p.ssim,
+        pass: p.pass
+      }));
       setProgress(100, "Done.");
       renderCombinedPreview();
       updateSizeUI();
-      toast("Combined image ready.", "success");
+      toast(parts.length > 1 ? `Combined image split into ${parts.length} parts.` : "Combined image ready.", "success");
     }
   } catch (err) {
-    console.error(err);
-    toast(err?.message ? String(err.message) : "Conversion failed.", "error");
+    if (isAbortError(err)) {
+      const kept = state.pages.length;
+      toast(
+        kept ? `Conversion cancelled. Kept ${kept} finished page${kept === 1 ? "" : "s"}.` : "Conversion cancelled.",
+        "warn"
+      );
+    } else {
+      console.error(err);
+      toast(err?.message ? String(err.message) : "Conversion failed.", "error");
+    }
     hideProgress();
   } finally {
-    setBusy(false);
+    endJob();
     renderActions();
     updateStepUI();
     if (state.mode === "combined") updateCombinedEstimate();
@@ -979,6 +1962,7 @@ async function runConversion() {
 function mount() {
   const savedTheme = localStorage.getItem("pdf2img:theme");
   setTheme(savedTheme === "dark" ? "dark" : "light");
+  state.customProfiles = loadCustomProfiles();
 
   $app.innerHTML = `
     <div class="container">
@@ -1000,12 +1984,32 @@ function mount() {
         <div class="control" style="margin-bottom:12px;">
           <label>
             <span>Tool</span>
-            <span class="mini">PDF conversion or Image compression</span>
+            <span class="mini">PDF conversion, image compression or images to PDF</span>
           </label>
           <div class="segmented" role="tablist" aria-label="Tool mode">
             <button id="toolPdf" type="button" class="active" data-disable-when-busy>PDF → JPG</button>
             <button id="toolImg" type="button" data-disable-when-busy>Image → Image</button>
+            <button id="toolAssemble" type="button" data-disable-when-busy>Images → PDF</button>
+          </div>
+        </div>
+
+        <div class="control" style="margin-bottom:12px;">
+          <label>
+            <span>Document profile</span>
+            <span class="mini">Size, format and dimension rules of a portal</span>
+          </label>
+          <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
+            <select id="profileSelect" style="width:auto;" data-disable-when-busy>
+              ${profileOptions()}
+            </select>
+            <input id="profileNameInput" type="text" placeholder="Name for current settings" spellcheck="false" style="width:200px;" data-disable-when-busy />
+            <button class="btn" id="profileSaveBtn" type="button" data-disable-when-busy>Save as profile</button>
+            <button class="btn" id="profileDeleteBtn" type="button" data-disable-when-busy>Delete</button>
+            <button class="btn" id="profileImportBtn" type="button" data-disable-when-busy>Import JSON</button>
+            <button class="btn" id="profileExportBtn" type="button" data-disable-when-busy>Export JSON</button>
+            <input id="profileImportInput" type="file" accept="application/json,.json" hidden />
           </div>
+          <div id="profileHint" class="hint mini"></div>
         </div>
 
         <div id="pdfSection">
@@ -1038,12 +2042,13 @@ function mount() {
             </svg>
           </div>
           <div>
-            <div style="font-weight:650; letter-spacing:-0.01em;">Drop a PDF here</div>
-            <div class="hint">Accepted: .pdf • We’ll show page count after upload</div>
+            <div style="font-weight:650; letter-spacing:-0.01em;">Drop PDFs here</div>
+            <div class="hint">Accepted: .pdf • Drop several to merge them into one job</div>
           </div>
-          <button class="btn primary" id="pickBtn" type="button" data-disable-when-busy>Choose PDF</button>
-          <input id="fileInput" type="file" accept="application/pdf,.pdf" hidden />
+          <button class="btn primary" id="pickBtn" type="button" data-disable-when-busy>Choose PDFs</button>
+          <input id="fileInput" type="file" accept="application/pdf,.pdf" multiple hidden />
         </div>
+        <div id="docListHost"></div>
 
         <div class="controls">
           <div class="control">
@@ -1057,15 +2062,23 @@ function mount() {
             </div>
           </div>
 
+          <div class="control">
+            <label>
+              <span>Page range</span>
+              <span class="mini">blank = all pages</span>
+            </label>
+            <input id="pageRangeInput" type="text" placeholder="e.g. 1-3,7,10-" spellcheck="false" data-disable-when-busy />
+          </div>
+
           <div class="control">
             <label>
               <span>Output format</span>
               <span id="formatLabel" style="font-variant-numeric: tabular-nums;">.${escapeHtml(state.format)}</span>
             </label>
             <select id="formatSelect" data-disable-when-busy>
-              <option value="jpg">JPG</option>
-              <option value="jpeg">JPEG</option>
+              ${formatOptions()}
             </select>
+            <div id="formatHint" class="hint mini">${escapeHtml(formatHint(state.format))}</div>
           </div>
 
           <div class="control">
@@ -1082,31 +2095,102 @@ function mount() {
 
           <div class="control">
             <label>
-              <span>Clarity (DPI)</span>
-              <span class="mini">2x recommended</span>
+              <span>Resolution</span>
+              <span class="mini" id="sizingHint">150–300 DPI recommended</span>
             </label>
-            <select id="dpiSelect" data-disable-when-busy>
-              <option value="2">2x</option>
-              <option value="3">3x (sharper, larger)</option>
-            </select>
+            <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
+              <select id="sizingSelect" style="width:auto;" data-disable-when-busy>
+                <option value="dpi">DPI</option>
+                <option value="fit">Fit to max size</option>
+              </select>
+              <span id="dpiWrap" style="display:flex; gap:8px; align-items:center;">
+                <input id="dpiInput" type="number" min="72" max="600" step="1" list="dpiPresets" value="${state.dpi}" style="width:90px;" data-disable-when-busy />
+                <span class="mini">DPI</span>
+                <datalist id="dpiPresets">
+                  <option value="150"></option>
+                  <option value="200"></option>
+                  <option value="300"></option>
+                  <option value="600"></option>
+                </datalist>
+              </span>
+              <span id="fitWrap" style="display:none; gap:8px; align-items:center;">
+                <input id="maxWidthInput" type="number" min="0" max="16384" step="10" value="${state.maxWidth}" style="width:90px;" title="Max width (0 = no limit)" data-disable-when-busy />
+                <span class="mini">×</span>
+                <input id="maxHeightInput" type="number" min="0" max="16384" step="10" value="${state.maxHeight}" style="width:90px;" title="Max height (0 = no limit)" data-disable-when-busy />
+                <span class="mini">px</span>
+              </span>
+            </div>
+          </div>
+
+          <div class="control">
+            <label>
+              <span>Scan cleanup</span>
+              <span class="mini">Before encoding</span>
+            </label>
+            <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
+              <label class="mini" style="display:flex; gap:8px; align-items:center;">
+                <input id="autoCropToggle" type="checkbox" ${state.autoCrop ? "checked" : ""} data-disable-when-busy />
+                Auto-crop margins
+              </label>
+              <label class="mini" style="display:flex; gap:8px; align-items:center;">
+                <input id="deskewToggle" type="checkbox" ${state.deskew ? "checked" : ""} data-disable-when-busy />
+                Deskew
+              </label>
+              <input id="cropPaddingInput" type="number" min="0" max="144" step="2" value="${state.cropPadding}" style="width:80px;" title="Padding kept around content" data-disable-when-busy />
+              <span class="mini">pt padding</span>
+            </div>
+          </div>
+
+          <div class="control" id="layoutControl" style="display:none;">
+            <label>
+              <span>Layout (combined)</span>
+              <span class="mini">How pages are arranged</span>
+            </label>
+            <div style="display:flex; gap:10px; align-items:center;">
+              <select id="layoutSelect" data-disable-when-busy>
+                <option value="vertical">Vertical stack</option>
+                <option value="horizontal">Horizontal strip</option>
+                <option value="2up">2-up (side by side)</option>
+                <option value="grid">Grid</option>
+              </select>
+              <label id="gridColumnsWrap" class="mini" style="display:none; gap:8px; align-items:center;">
+                <input id="gridColumnsInput" type="number" min="1" max="12" step="1" value="${state.gridColumns}" style="width:70px;" data-disable-when-busy />
+                columns
+              </label>
+            </div>
           </div>
 
           <div class="control" id="spacingControl" style="display:none;">
             <label>
-              <span>Page spacing (combined)</span>
+              <span>Gutter &amp; background (combined)</span>
               <span class="mini">Helps readability</span>
             </label>
-            <select id="spacingSelect" data-disable-when-busy>
-              <option value="none">None</option>
-              <option value="small" selected>Small</option>
-              <option value="medium">Medium</option>
-            </select>
+            <div style="display:flex; gap:10px; align-items:center;">
+              <select id="spacingSelect" data-disable-when-busy>
+                <option value="none">None</option>
+                <option value="small" selected>Small</option>
+                <option value="medium">Medium</option>
+                <option value="large">Large</option>
+              </select>
+              <input id="bgColorInput" type="color" value="${state.background}" title="Background colour" data-disable-when-busy />
+            </div>
+          </div>
+
+          <div class="control" id="splitControl" style="display:none;">
+            <label>
+              <span>Auto-split (combined)</span>
+              <span class="mini">Parts under max size</span>
+            </label>
+            <label class="mini" style="display:flex; gap:8px; align-items:center;">
+              <input id="autoSplitToggle" type="checkbox" ${state.autoSplit ? "checked" : ""} data-disable-when-busy />
+              Split into as few parts as fit the MB limit
+            </label>
           </div>
 
           <div class="control">
             <label>
               <span>Estimate</span>
-              <span class="mini">6MB USCIS check</span>
+              <span class="mini" id="limitLabel">${escapeHtml(sizeLimit().label)} check</span>
             </label>
             <div class="hint" id="sizeHost">Convert to see file sizes</div>
           </div>
@@ -1114,7 +2198,7 @@ function mount() {
           <div class="control">
             <label>
               <span>Smart Compression</span>
-              <span class="mini">No resolution loss</span>
+              <span class="mini">Resolution kept unless downscale is allowed</span>
             </label>
             <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
               <label class="mini" style="display:flex; gap:8px; align-items:center;">
@@ -1125,10 +2209,86 @@ function mount() {
                 <input id="fitToggle" type="checkbox" ${state.fitUnderMax ? "checked" : ""} data-disable-when-busy />
                 Fit under
               </label>
-              <input id="maxSizeInput" type="number" min="1" max="25" step="0.5" value="${state.maxSizeMB}" style="width:90px;" data-disable-when-busy />
+              <input id="maxSizeInput" type="number" min="0.1" max="25" step="0.1" value="${state.maxSizeMB}" style="width:90px;" data-disable-when-busy />
               <span class="mini">MB</span>
             </div>
-            <div class="hint mini">Advanced encoder flags (subsampling/progressive/metadata) are available via CLI.</div>
+            <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap; margin-top:8px;">
+              <label class="mini" style="display:flex; gap:8px; align-items:center;">
+                <input id="downscaleToggle" type="checkbox" ${state.allowDownscale ? "checked" : ""} data-disable-when-busy />
+                Allow downscale, not below
+              </label>
+              <input id="minDpiInput" type="number" min="72" max="300" step="1" value="${state.minDpi}" style="width:80px;" data-disable-when-busy />
+              <span class="mini">DPI</span>
+            </div>
+            <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap; margin-top:8px;">
+              <label class="mini" style="display:flex; gap:8px; align-items:center;">
+                <input id="ssimGuardToggle" type="checkbox" ${state.ssimGuard ? "checked" : ""} data-disable-when-busy />
+                Keep SSIM at least
+              </label>
+              <input id="minSsimInput" type="number" min="0.5" max="0.999" step="0.005" value="${state.minSsim}" style="width:90px;" data-disable-when-busy />
+            </div>
+            <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap; margin-top:8px;">
+              <span class="mini">JPEG chroma</span>
+              <select id="subsampleSelect" style="width:auto;" data-disable-when-busy>
+                <option value="4:4:4">4:4:4 (sharper text)</option>
+                <option value="4:2:0">4:2:0 (smaller)</option>
+              </select>
+              <label class="mini" style="display:flex; gap:8px; align-items:center;">
+                <input id="progressiveToggle" type="checkbox" ${state.progressive ? "checked" : ""} data-disable-when-busy />
+                Progressive
+              </label>
+            </div>
+            <div class="hint mini">JPEG uses mozjpeg, as the CLI does. Chroma/progressive apply without a size target; with one, all four combinations are searched. Metadata is never written.</div>
+          </div>
+        </div>
+
+        <div id="enhancePanel" class="enhancePanel">
+          <div class="controls">
+            <div class="control">
+              <label>
+                <span>Enhance</span>
+                <span class="mini">Both tools</span>
+              </label>
+              <select id="filterColor" data-disable-when-busy>
+                <option value="color">Color (unchanged)</option>
+                <option value="grayscale">Grayscale (smaller files)</option>
+                <option value="bw">Black &amp; white (adaptive)</option>
+              </select>
+              <div class="hint mini">Grayscale often halves file size and reads better on faded scans.</div>
+            </div>
+
+            <div class="control">
+              <label>
+                <span>Brightness / Contrast</span>
+                <span id="filterToneLabel" class="mini" style="font-variant-numeric: tabular-nums;"></span>
+              </label>
+              <input id="filterBrightness" type="range" min="-100" max="100" step="1" value="${state.filters.brightness}" data-disable-when-busy />
+              <input id="filterContrast" type="range" min="-100" max="100" step="1" value="${state.filters.contrast}" data-disable-when-busy />
+            </div>
+
+            <div class="control">
+              <label>
+                <span>Levels</span>
+                <span class="mini">black / white point</span>
+              </label>
+              <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
+                <input id="filterBlack" type="number" min="0" max="254" step="1" value="${state.filters.blackPoint}" style="width:80px;" data-disable-when-busy />
+                <input id="filterWhite" type="number" min="1" max="255" step="1" value="${state.filters.whitePoint}" style="width:80px;" data-disable-when-busy />
+              </div>
+            </div>
+
+            <div class="control">
+              <label>
+                <span>Sharpen</span>
+                <span id="filterSharpenLabel" class="mini" style="font-variant-numeric: tabular-nums;"></span>
+              </label>
+              <input id="filterSharpen" type="range" min="0" max="200" step="5" value="${state.filters.sharpen}" data-disable-when-busy />
+              <button id="filterReset" class="btn" type="button" data-disable-when-busy>Reset filters</button>
+            </div>
+          </div>
+          <div class="enhancePreviewWrap">
+            <div id="enhancePreviewLabel" class="mini"></div>
+            <canvas id="enhancePreview" hidden></canvas>
           </div>
         </div>
 
@@ -1139,16 +2299,20 @@ function mount() {
         <div id="progressWrap" class="progressWrap">
           <div class="progress"><div id="bar" class="bar"></div></div>
           <div id="progressText" class="progressText"></div>
+          <button id="cancelBtn" class="btn danger" type="button" hidden>Cancel</button>
         </div>
 
-        <div class="actions">
+        <div id="pdfActions" class="actions">
           <div class="left">
             <button id="convertBtn" class="btn primary" type="button" data-disable-when-busy disabled>
-              Convert to JPG
+              Convert to ${escapeHtml(formatInfo(state.format).label)}
             </button>
             <button id="downloadAll" class="btn" type="button" data-disable-when-busy disabled>
               Download All (ZIP)
             </button>
+            <button id="downloadTiff" class="btn" type="button" data-disable-when-busy disabled hidden>
+              Download Multi-page TIFF
+            </button>
             <button id="clearBtn" class="btn danger" type="button" data-disable-when-busy disabled>
               Start Over
             </button>
@@ -1183,7 +2347,7 @@ function mount() {
             </div>
           </div>
 
-          <div id="imgDropzone" class="dropzone" role="button" tabindex="0" aria-label="Upload JPG/JPEG/PNG">
+          <div id="imgDropzone" class="dropzone" role="button" tabindex="0" aria-label="Upload JPG/JPEG/PNG/HEIC">
             <div class="icon" aria-hidden="true">
               <svg width="26" height="26" viewBox="0 0 24 24" fill="none">
                 <path d="M4 7a2 2 0 0 1 2-2h5l2 2h5a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V7Z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
@@ -1191,24 +2355,23 @@ function mount() {
               </svg>
             </div>
             <div>
-              <div style="font-weight:650; letter-spacing:-0.01em;">Drop JPG/JPEG/PNG files here</div>
-              <div class="hint">USCIS-safe compression (≤ 600 KB, no resize). PNG converts to JPG. Batch supported.</div>
+              <div style="font-weight:650; letter-spacing:-0.01em;">Drop JPG/JPEG/PNG/HEIC files here</div>
+              <div class="hint">Compression under a size target (600 KB, or the profile's) to the chosen output format. Batch supported.</div>
             </div>
             <button class="btn primary" id="imgPickBtn" type="button" data-disable-when-busy>Choose Images</button>
-            <input id="imgInput" type="file" accept="image/jpeg,image/png,.jpg,.jpeg,.png" multiple hidden />
+            <input id="imgInput" type="file" accept="image/jpeg,image/png,image/heic,image/heif,.jpg,.jpeg,.png,.heic,.heif" multiple hidden />
           </div>
 
           <div class="controls">
             <div class="control">
               <label>
-                <span>USCIS-safe compression (≤ 600 KB, no resize)</span>
-                <span class="mini">Default</span>
-              </label>
-              <label class="mini" style="display:flex; gap:8px; align-items:center;">
-                <input id="imgUscisPreset" type="checkbox" ${state.imgUscisPreset ? "checked" : ""} data-disable-when-busy />
-                Enable preset
+                <span>Output format</span>
+                <span id="imgFormatLabel" class="mini">.${escapeHtml(state.format)}</span>
               </label>
-              <div class="hint mini">Preserves resolution. Encoder tuning is quality-only in browser; full encoder knobs are in CLI.</div>
+              <select id="imgFormatSelect" data-disable-when-busy>
+                ${formatOptions()}
+              </select>
+              <div id="imgFormatHint" class="hint mini">${escapeHtml(formatHint(state.format))}</div>
             </div>
 
             <div class="control">
@@ -1226,10 +2389,10 @@ function mount() {
                 <span class="mini">editable</span>
               </label>
               <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
-                <input id="imgTargetKB" type="number" min="50" max="6000" step="10" value="${state.imgTargetKB}" style="width:110px;" data-disable-when-busy />
+                <input id="imgTargetKB" type="number" min="50" max="25600" step="10" value="${state.imgTargetKB}" style="width:110px;" data-disable-when-busy />
                 <span class="mini">KB</span>
               </div>
-              <div class="hint mini">Recommended: 600 KB for USCIS-style limits.</div>
+              <div class="hint mini">Resolution is kept. JPEG tries 4:4:4 and 4:2:0 chroma, baseline and progressive (mozjpeg), as the CLI does.</div>
             </div>
 
             <div class="control">
@@ -1241,11 +2404,47 @@ function mount() {
                 <input id="imgMinQuality" type="number" min="0.1" max="0.95" step="0.05" value="${state.imgMinQuality}" style="width:110px;" data-disable-when-busy />
                 <span class="mini">(0.1–0.95)</span>
               </div>
-              <div class="hint mini">If target can’t be met above this quality, we output “best clarity” and mark FAIL.</div>
+              <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap; margin-top:8px;">
+                <label class="mini" style="display:flex; gap:8px; align-items:center;">
+                  <input id="imgSsimGuardToggle" type="checkbox" ${state.imgSsimGuard ? "checked" : ""} data-disable-when-busy />
+                  Min SSIM
+                </label>
+                <input id="imgMinSsim" type="number" min="0.5" max="0.999" step="0.005" value="${state.imgMinSsim}" style="width:110px;" data-disable-when-busy />
+              </div>
+              <div class="hint mini">If target can’t be met above this quality, we output “best clarity” and mark FAIL. Min SSIM measures how close the output looks to the original instead; lower the min quality to let it decide.</div>
+            </div>
+
+            <div class="control">
+              <label>
+                <span>Downscale fallback</span>
+                <span class="mini">off by default</span>
+              </label>
+              <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
+                <label class="mini" style="display:flex; gap:8px; align-items:center;">
+                  <input id="imgDownscaleToggle" type="checkbox" ${state.imgAllowDownscale ? "checked" : ""} data-disable-when-busy />
+                  Allow, min long edge
+                </label>
+                <input id="imgMinLongEdge" type="number" min="400" max="10000" step="100" value="${state.imgMinLongEdge}" style="width:100px;" data-disable-when-busy />
+                <span class="mini">px</span>
+              </div>
+              <div class="hint mini">Only used when quality alone can’t reach the target; keeps text legible above the floor.</div>
+            </div>
+
+            <div class="control">
+              <label>
+                <span>Metadata (EXIF)</span>
+                <span class="mini">JPEG output</span>
+              </label>
+              <select id="imgMetadataSelect" data-disable-when-busy>
+                <option value="strip">Strip all</option>
+                <option value="safe">Keep safe subset (camera, date, DPI)</option>
+                <option value="all">Keep all (including GPS location)</option>
+              </select>
+              <div class="hint mini">Photos are always turned upright from their EXIF orientation first. Kept metadata counts toward the size target. Same modes as the CLI’s --metadata.</div>
             </div>
           </div>
 
-          <div class="actions">
+          <div id="imgActions" class="actions">
             <div class="left">
               <button id="imgCompressBtn" class="btn primary" type="button" data-disable-when-busy disabled>Compress Images</button>
               <button id="imgDownloadZipBtn" class="btn" type="button" data-disable-when-busy disabled>Download All (ZIP)</button>
@@ -1262,6 +2461,73 @@ function mount() {
             <strong>Privacy:</strong> Your images are processed locally in your browser. No files are uploaded to any server.
           </div>
         </div> <!-- /imgSection -->
+
+        <div id="assembleSection" style="display:none;">
+          <div class="hint">
+            One page per image, using the images from Image → Image. Quality, min quality and the downscale fallback
+            follow that tool's settings; enhancement filters apply too.
+          </div>
+
+          <div class="controls">
+            <div class="control">
+              <label>
+                <span>Page size</span>
+                <span class="mini">orientation follows each image</span>
+              </label>
+              <select id="assemblePageSize" data-disable-when-busy>
+                ${Object.entries(PAGE_SIZES)
+                  .map(([value, p]) => `<option value="${value}">${escapeHtml(p.label)}</option>`)
+                  .join("")}
+                <option value="fit">Fit to image</option>
+              </select>
+            </div>
+
+            <div class="control">
+              <label>
+                <span>Margins</span>
+              </label>
+              <select id="assembleMargin" data-disable-when-busy>
+                <option value="0">None</option>
+                <option value="18">0.25 in</option>
+                <option value="36">0.5 in</option>
+                <option value="72">1 in</option>
+              </select>
+            </div>
+
+            <div class="control">
+              <label>
+                <span>Fit under</span>
+                <span class="mini">whole PDF</span>
+              </label>
+              <div style="display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
+                <label class="mini" style="display:flex; gap:8px; align-items:center;">
+                  <input id="assembleFitToggle" type="checkbox" ${state.assembleFitUnder ? "checked" : ""} data-disable-when-busy />
+                  Enable
+                </label>
+                <input id="assembleMaxMB" type="number" min="0.1" max="50" step="0.1" value="${state.assembleMaxMB}" style="width:90px;" data-disable-when-busy />
+                <span class="mini">MB</span>
+              </div>
+              <div class="hint mini">The size cap is shared between the images; unused room carries over to later pages. Images already compressed to JPEG are used as they are when they fit their share, otherwise re-encoded from the original.</div>
+            </div>
+          </div>
+
+          <div id="assembleList"></div>
+
+          <div id="assembleActions" class="actions">
+            <div class="left">
+              <button id="assemblePickBtn" class="btn" type="button" data-disable-when-busy>Add Images</button>
+              <button id="assembleBtn" class="btn primary" type="button" data-disable-when-busy disabled>Build PDF</button>
+              <button id="assembleDownloadBtn" class="btn" type="button" data-disable-when-busy disabled>Download PDF</button>
+            </div>
+            <div class="right">
+              <div class="hint" id="assembleSummary"></div>
+            </div>
+          </div>
+
+          <div class="notice">
+            <strong>Privacy:</strong> Your images are processed locally in your browser. No files are uploaded to any server.
+          </div>
+        </div> <!-- /assembleSection -->
       </div>
 
       <div id="grid" class="grid"></div>
@@ -1276,50 +2542,96 @@ function mount() {
   const fileInput = document.querySelector("#fileInput");
   const toolPdf = document.querySelector("#toolPdf");
   const toolImg = document.querySelector("#toolImg");
+  const toolAssemble = document.querySelector("#toolAssemble");
   const pdfSection = document.querySelector("#pdfSection");
   const imgSection = document.querySelector("#imgSection");
+  const assembleSection = document.querySelector("#assembleSection");
 
   const imgDropzone = document.querySelector("#imgDropzone");
   const imgPickBtn = document.querySelector("#imgPickBtn");
   const imgInput = document.querySelector("#imgInput");
-  const imgUscisPreset = document.querySelector("#imgUscisPreset");
   const imgQualityRange = document.querySelector("#imgQualityRange");
   const imgQualityLabel = document.querySelector("#imgQualityLabel");
   const imgTargetKB = document.querySelector("#imgTargetKB");
   const imgMinQuality = document.querySelector("#imgMinQuality");
+  const imgDownscaleToggle = document.querySelector("#imgDownscaleToggle");
+  const imgSsimGuardToggle = document.querySelector("#imgSsimGuardToggle");
+  const imgMinSsim = document.querySelector("#imgMinSsim");
+  const imgMinLongEdge = document.querySelector("#imgMinLongEdge");
+  const imgMetadataSelect = document.querySelector("#imgMetadataSelect");
   const imgCompressBtn = document.querySelector("#imgCompressBtn");
   const imgDownloadZipBtn = document.querySelector("#imgDownloadZipBtn");
   const imgClearBtn = document.querySelector("#imgClearBtn");
   const formatSelect = document.querySelector("#formatSelect");
   const formatLabel = document.querySelector("#formatLabel");
+  const formatHintEl = document.querySelector("#formatHint");
+  const imgFormatSelect = document.querySelector("#imgFormatSelect");
+  const imgFormatLabel = document.querySelector("#imgFormatLabel");
+  const imgFormatHint = document.querySelector("#imgFormatHint");
   const qualityRange = document.querySelector("#qualityRange");
   const qualityLabel = document.querySelector("#qualityLabel");
-  const dpiSelect = document.querySelector("#dpiSelect");
+  const sizingSelect = document.querySelector("#sizingSelect");
+  const sizingHint = document.querySelector("#sizingHint");
+  const dpiWrap = document.querySelector("#dpiWrap");
+  const dpiInput = document.querySelector("#dpiInput");
+  const fitWrap = document.querySelector("#fitWrap");
+  const maxWidthInput = document.querySelector("#maxWidthInput");
+  const maxHeightInput = document.querySelector("#maxHeightInput");
   const spacingControl = document.querySelector("#spacingControl");
   const spacingSelect = document.querySelector("#spacingSelect");
+  const bgColorInput = document.querySelector("#bgColorInput");
+  const layoutControl = document.querySelector("#layoutControl");
+  const layoutSelect = document.querySelector("#layoutSelect");
+  const gridColumnsWrap = document.querySelector("#gridColumnsWrap");
+  const gridColumnsInput = document.querySelector("#gridColumnsInput");
+  const autoCropToggle = document.querySelector("#autoCropToggle");
+  const deskewToggle = document.querySelector("#deskewToggle");
+  const cropPaddingInput = document.querySelector("#cropPaddingInput");
+  const splitControl = document.querySelector("#splitControl");
+  const autoSplitToggle = document.querySelector("#autoSplitToggle");
+  const pageRangeInput = document.querySelector("#pageRangeInput");
   const modeIndividual = document.querySelector("#modeIndividual");
   const modeCombined = document.querySelector("#modeCombined");
   const convertBtn = document.querySelector("#convertBtn");
   const compressToggle = document.querySelector("#compressToggle");
   const fitToggle = document.querySelector("#fitToggle");
   const maxSizeInput = document.querySelector("#maxSizeInput");
+  const downscaleToggle = document.querySelector("#downscaleToggle");
+  const minDpiInput = document.querySelector("#minDpiInput");
+  const ssimGuardToggle = document.querySelector("#ssimGuardToggle");
+  const minSsimInput = document.querySelector("#minSsimInput");
+  const subsampleSelect = document.querySelector("#subsampleSelect");
+  const progressiveToggle = document.querySelector("#progressiveToggle");
   const downloadAllBtn = document.querySelector("#downloadAll");
   const clearBtn = document.querySelector("#clearBtn");
-  const fileHint = document.querySelector("#fileHint");
   const darkToggle = document.querySelector("#darkToggle");
+  const progressWrap = document.querySelector("#progressWrap");
+  const cancelBtn = document.querySelector("#cancelBtn");
+  const enhancePanel = document.querySelector("#enhancePanel");
 
   formatSelect.value = state.format;
-  dpiSelect.value = String(state.dpiScale);
+  imgFormatSelect.value = state.format;
+  sizingSelect.value = state.sizing;
+  subsampleSelect.value = state.subsample;
+  imgMetadataSelect.value = state.imgMetadata;
   darkToggle.checked = state.theme === "dark";
 
   darkToggle.addEventListener("change", () => setTheme(darkToggle.checked ? "dark" : "light"));
 
   function setToolMode(mode) {
-    state.appMode = mode === "img" ? "img" : "pdf";
+    state.appMode = mode === "img" || mode === "assemble" ? mode : "pdf";
     toolPdf.classList.toggle("active", state.appMode === "pdf");
     toolImg.classList.toggle("active", state.appMode === "img");
+    toolAssemble.classList.toggle("active", state.appMode === "assemble");
     pdfSection.style.display = state.appMode === "pdf" ? "" : "none";
     imgSection.style.display = state.appMode === "img" ? "" : "none";
+    assembleSection.style.display = state.appMode === "assemble" ? "" : "none";
+    // One progress area (with its Cancel button) serves whichever tool is visible.
+    document.querySelector(`#${state.appMode}Actions`)?.before(progressWrap);
+    // Likewise the enhancement filters: one panel, shared settings.
+    (state.appMode === "pdf" ? document.querySelector("#combinedPlan") : progressWrap)?.before(enhancePanel);
+    renderAssembleList();
+    updateEnhancePreview();
     hideProgress();
     // Clear cross-mode UI elements when switching
     renderGrid();
@@ -1327,19 +2639,61 @@ function mount() {
     renderActions();
   }
 
-  toolPdf.addEventListener("click", () => setToolMode("pdf"));
-  toolImg.addEventListener("click", () => setToolMode("img"));
+  cancelBtn.addEventListener("click", cancelJob);
+
+  const filterColor = document.querySelector("#filterColor");
+  const filterBrightness = document.querySelector("#filterBrightness");
+  const filterContrast = document.querySelector("#filterContrast");
+  const filterBlack = document.querySelector("#filterBlack");
+  const filterWhite = document.querySelector("#filterWhite");
+  const filterSharpen = document.querySelector("#filterSharpen");
+  const filterToneLabel = document.querySelector("#filterToneLabel");
+  const filterSharpenLabel = document.querySelector("#filterSharpenLabel");
+
+  function syncFilterInputs() {
+    const f = state.filters;
+    filterColor.value = f.color;
+    filterBrightness.value = String(f.brightness);
+    filterContrast.value = String(f.contrast);
+    filterBlack.value = String(f.blackPoint);
+    filterWhite.value = String(f.whitePoint);
+    filterSharpen.value = String(f.sharpen);
+    const signed = (n) => (n > 0 ? `+${n}` : String(n));
+    filterToneLabel.textContent = `${signed(f.brightness)} / ${signed(f.contrast)}`;
+    filterSharpenLabel.textContent = `${f.sharpen}%`;
+  }
 
-  function setFileHint(file) {
-    if (!fileHint) return;
-    if (!file) {
-      fileHint.textContent = "";
-      return;
-    }
-    const sizeMB = (file.size / (1024 * 1024)).toFixed(2);
-    fileHint.textContent = `${file.name} • ${sizeMB} MB`;
+  let _filterTimer = 0;
+  function readFilterInputs() {
+    const black = clamp(Math.round(Number(filterBlack.value)) || 0, 0, 254);
+    state.filters = {
+      color: ["color", "grayscale", "bw"].includes(filterColor.value) ? filterColor.value : "color",
+      brightness: clamp(Number(filterBrightness.value) || 0, -100, 100),
+      contrast: clamp(Number(filterContrast.value) || 0, -100, 100),
+      blackPoint: black,
+      whitePoint: clamp(Math.round(Number(filterWhite.value)) || 255, black + 1, 255),
+      sharpen: clamp(Number(filterSharpen.value) || 0, 0, 200)
+    };
+    syncFilterInputs();
+    // Sliders fire continuously; redraw the preview once they settle.
+    clearTimeout(_filterTimer);
+    _filterTimer = setTimeout(updateEnhancePreview, 120);
   }
 
+  [filterBrightness, filterContrast, filterSharpen].forEach((el) => el.addEventListener("input", readFilterInputs));
+  [filterColor, filterBlack, filterWhite].forEach((el) => el.addEventListener("change", readFilterInputs));
+  document.querySelector("#filterReset").addEventListener("click", () => {
+    state.filters = { ...DEFAULT_FILTERS };
+    syncFilterInputs();
+    updateEnhancePreview();
+    toast("Filters reset.", "info");
+  });
+  syncFilterInputs();
+
+  toolPdf.addEventListener("click", () => setToolMode("pdf"));
+  toolImg.addEventListener("click", () => setToolMode("img"));
+  toolAssemble.addEventListener("click", () => setToolMode("assemble"));
+
   pickBtn.addEventListener("click", () => fileInput.click());
   dropzone.addEventListener("click", (e) => {
     if (e.target && /** @type {HTMLElement} */ (e.target).closest("button")) return;
@@ -1350,10 +2704,10 @@ function mount() {
   });
 
   fileInput.addEventListener("change", async () => {
-    const f = fileInput.files?.[0];
-    if (!f) return;
-    setFileHint(f);
-    await convertPdfFile(f);
+    const files = fileInput.files;
+    if (!files?.length) return;
+    await addPdfFiles(files);
+    fileInput.value = "";
   });
 
   ["dragenter", "dragover"].forEach((evt) => {
@@ -1373,20 +2727,48 @@ function mount() {
 
   dropzone.addEventListener("drop", async (e) => {
     const dt = e.dataTransfer;
-    const f = dt?.files?.[0];
-    if (!f) return;
+    if (!dt?.files?.length) return;
     if (state.busy) return;
     fileInput.value = "";
-    setFileHint(f);
-    await convertPdfFile(f);
+    await addPdfFiles(dt.files);
   });
 
-  formatSelect.addEventListener("change", () => {
-    state.format = formatSelect.value === "jpeg" ? "jpeg" : "jpg";
-    if (formatLabel) formatLabel.textContent = `.${state.format}`;
-    toast(`Format set to .${state.format}`, "info");
+  pageRangeInput.addEventListener("change", () => {
+    if (!state.pageCount) {
+      pageRangeInput.value = "";
+      return;
+    }
+    const { pages, error } = parsePageRange(pageRangeInput.value, state.pageCount);
+    if (error) {
+      toast(error, "error");
+      syncPageRangeInput();
+      return;
+    }
+    setPageSelection(pages);
+    toast(`Converting ${pages.length} of ${state.pageCount} page${state.pageCount === 1 ? "" : "s"}.`, "info");
   });
 
+  // Both tools share state.format; keep their selectors in step.
+  function setFormat(value) {
+    state.format = Object.hasOwn(OUTPUT_FORMATS, value) ? value : "jpg";
+    formatSelect.value = state.format;
+    imgFormatSelect.value = state.format;
+    if (formatLabel) formatLabel.textContent = `.${state.format}`;
+    imgFormatLabel.textContent = `.${state.format}`;
+    formatHintEl.textContent = formatHint(state.format);
+    imgFormatHint.textContent = formatHint(state.format);
+    convertBtn.textContent = `Convert to ${formatInfo(state.format).label}`;
+    const profile = activeProfile();
+    if (allowsFormat(profile, state.format)) {
+      toast(`Format set to .${state.format}`, "info");
+    } else {
+      toast(`${profile.name} doesn't accept .${state.format} files; results will be flagged.`, "warn");
+    }
+    updateSizeUI();
+  }
+  formatSelect.addEventListener("change", () => setFormat(formatSelect.value));
+  imgFormatSelect.addEventListener("change", () => setFormat(imgFormatSelect.value));
+
   qualityRange.addEventListener("input", () => {
     const v = Number(qualityRange.value) / 100;
     state.quality = clamp(v, 0.1, 1.0);
@@ -1400,18 +2782,82 @@ function mount() {
     toast(`Quality set to ${Math.round(state.quality * 100)}%`, "info");
   });
 
-  dpiSelect.addEventListener("change", () => {
-    state.dpiScale = dpiSelect.value === "3" ? 3 : 2;
-    toast(`Clarity set to ${state.dpiScale}x`, "info");
+  function syncSizingUI() {
+    dpiWrap.style.display = state.sizing === "dpi" ? "flex" : "none";
+    fitWrap.style.display = state.sizing === "fit" ? "flex" : "none";
+    sizingHint.textContent = state.sizing === "dpi" ? "150–300 DPI recommended" : "0 = no limit; up to 600 DPI";
+  }
+
+  sizingSelect.addEventListener("change", () => {
+    state.sizing = sizingSelect.value === "fit" ? "fit" : "dpi";
+    syncSizingUI();
+    if (state.mode === "combined") updateCombinedEstimate();
+  });
+
+  dpiInput.addEventListener("change", () => {
+    state.dpi = clamp(Math.round(Number(dpiInput.value)) || 144, 72, 600);
+    dpiInput.value = String(state.dpi);
+    toast(`Resolution set to ${state.dpi} DPI`, "info");
     if (state.mode === "combined") updateCombinedEstimate();
   });
 
+  [maxWidthInput, maxHeightInput].forEach((input) => {
+    input.addEventListener("change", () => {
+      state.maxWidth = clamp(Math.round(Number(maxWidthInput.value)) || 0, 0, 16384);
+      state.maxHeight = clamp(Math.round(Number(maxHeightInput.value)) || 0, 0, 16384);
+      maxWidthInput.value = String(state.maxWidth);
+      maxHeightInput.value = String(state.maxHeight);
+      const box = [state.maxWidth || "any", state.maxHeight || "any"].join(" × ");
+      toast(`Pages will fit within ${box} px`, "info");
+      if (state.mode === "combined") updateCombinedEstimate();
+    });
+  });
+  syncSizingUI();
+
   spacingSelect.addEventListener("change", () => {
-    state.spacing = ["none", "small", "medium"].includes(spacingSelect.value) ? spacingSelect.value : "small";
+    state.spacing = ["none", "small", "medium", "large"].includes(spacingSelect.value) ? spacingSelect.value : "small";
     toast(`Spacing set to ${state.spacing}`, "info");
     if (state.mode === "combined") updateCombinedEstimate();
   });
 
+  bgColorInput.addEventListener("change", () => {
+    state.background = /^#[0-9a-f]{6}$/i.test(bgColorInput.value) ? bgColorInput.value : "#ffffff";
+  });
+
+  layoutSelect.addEventListener("change", () => {
+    state.layout = ["vertical", "horizontal", "2up", "grid"].includes(layoutSelect.value) ? layoutSelect.value : "vertical";
+    gridColumnsWrap.style.display = state.layout === "grid" ? "flex" : "none";
+    toast(`Layout set to ${layoutSelect.selectedOptions[0]?.textContent || state.layout}`, "info");
+    if (state.mode === "combined") updateCombinedEstimate();
+  });
+
+  gridColumnsInput.addEventListener("change", () => {
+    state.gridColumns = clamp(Math.round(Number(gridColumnsInput.value)) || 3, 1, 12);
+    gridColumnsInput.value = String(state.gridColumns);
+    if (state.mode === "combined") updateCombinedEstimate();
+  });
+
+  autoCropToggle.addEventListener("change", () => {
+    state.autoCrop = !!autoCropToggle.checked;
+    toast(state.autoCrop ? "Auto-crop enabled." : "Auto-crop disabled.", "info");
+  });
+
+  deskewToggle.addEventListener("change", () => {
+    state.deskew = !!deskewToggle.checked;
+    toast(state.deskew ? "Deskew enabled (corrects up to ±5°)." : "Deskew disabled.", "info");
+  });
+
+  cropPaddingInput.addEventListener("change", () => {
+    state.cropPadding = clamp(Number(cropPaddingInput.value) || 0, 0, 144);
+    cropPaddingInput.value = String(state.cropPadding);
+  });
+
+  autoSplitToggle.addEventListener("change", () => {
+    state.autoSplit = !!autoSplitToggle.checked;
+    toast(state.autoSplit ? `Auto-split enabled (parts under ${state.maxSizeMB} MB).` : "Auto-split disabled.", "info");
+    if (state.mode === "combined") updateCombinedEstimate();
+  });
+
   compressToggle.addEventListener("change", () => {
     state.compress = !!compressToggle.checked;
     toast(state.compress ? "Compression enabled (resolution preserved)." : "Compression disabled.", "info");
@@ -1424,27 +2870,55 @@ function mount() {
 
   maxSizeInput.addEventListener("change", () => {
     const v = Number(maxSizeInput.value);
-    state.maxSizeMB = clamp(v, 1, 25);
+    state.maxSizeMB = clamp(v, 0.1, 25);
     maxSizeInput.value = String(state.maxSizeMB);
     toast(`Max size set to ${state.maxSizeMB} MB`, "info");
   });
 
+  downscaleToggle.addEventListener("change", () => {
+    state.allowDownscale = !!downscaleToggle.checked;
+    toast(
+      state.allowDownscale ? `Downscale fallback enabled (≥ ${state.minDpi} DPI).` : "Downscale fallback disabled.",
+      "info"
+    );
+  });
+
+  minDpiInput.addEventListener("change", () => {
+    state.minDpi = clamp(Math.round(Number(minDpiInput.value)) || 150, 72, 300);
+    minDpiInput.value = String(state.minDpi);
+  });
+
+  ssimGuardToggle.addEventListener("change", () => {
+    state.ssimGuard = !!ssimGuardToggle.checked;
+    toast(state.ssimGuard ? `SSIM safeguard: ≥ ${state.minSsim}` : "SSIM safeguard disabled.", "info");
+  });
+
+  minSsimInput.addEventListener("change", () => {
+    state.minSsim = clamp(Number(minSsimInput.value) || 0.95, 0.5, 0.999);
+    minSsimInput.value = String(state.minSsim);
+  });
+
+  subsampleSelect.addEventListener("change", () => {
+    state.subsample = subsampleSelect.value === "4:2:0" ? "4:2:0" : "4:4:4";
+    toast(`JPEG chroma subsampling: ${state.subsample}`, "info");
+  });
+
+  progressiveToggle.addEventListener("change", () => {
+    state.progressive = !!progressiveToggle.checked;
+    toast(state.progressive ? "Progressive JPEG enabled." : "Progressive JPEG disabled.", "info");
+  });
+
   function setMode(mode) {
     state.mode = mode === "combined" ? "combined" : "individual";
     modeIndividual.classList.toggle("active", state.mode === "individual");
     modeCombined.classList.toggle("active", state.mode === "combined");
     spacingControl.style.display = state.mode === "combined" ? "" : "none";
+    layoutControl.style.display = state.mode === "combined" ? "" : "none";
+    splitControl.style.display = state.mode === "combined" ? "" : "none";
 
     // Clear outputs when switching modes
-    state.pages.forEach((p) => URL.revokeObjectURL(p.url));
-    if (state.combined?.url) URL.revokeObjectURL(state.combined.url);
-    state.pages = [];
-    state.combined = null;
-    renderGrid();
-    renderCombinedPreview();
+    clearOutputs();
     renderReorderUI();
-    updateSizeUI();
-    updateStepUI();
     renderActions();
     if (state.mode === "combined") updateCombinedEstimate();
   }
@@ -1454,10 +2928,10 @@ function mount() {
 
   convertBtn.addEventListener("click", runConversion);
   downloadAllBtn.addEventListener("click", downloadAllAsZip);
+  document.querySelector("#downloadTiff").addEventListener("click", downloadMultiPageTiff);
 
   clearBtn.addEventListener("click", () => {
     clearResults();
-    setFileHint(null);
     fileInput.value = "";
     renderActions();
     toast("Start over ready.", "success");
@@ -1499,15 +2973,6 @@ function mount() {
     await addImages(dt.files);
   });
 
-  imgUscisPreset.addEventListener("change", () => {
-    state.imgUscisPreset = !!imgUscisPreset.checked;
-    if (state.imgUscisPreset) {
-      state.imgTargetKB = 600;
-      imgTargetKB.value = String(state.imgTargetKB);
-    }
-    toast(state.imgUscisPreset ? "USCIS-safe preset enabled (≤ 600 KB)." : "Preset disabled.", "info");
-  });
-
   // Image quality slider - syncs with PDF quality
   imgQualityRange.addEventListener("input", () => {
     const v = Number(imgQualityRange.value) / 100;
@@ -1521,14 +2986,37 @@ function mount() {
     toast(`Quality set to ${Math.round(state.quality * 100)}%`, "info");
   });
 
+  imgDownscaleToggle.addEventListener("change", () => {
+    state.imgAllowDownscale = !!imgDownscaleToggle.checked;
+    toast(
+      state.imgAllowDownscale
+        ? `Downscale fallback enabled (long edge ≥ ${state.imgMinLongEdge}px).`
+        : "Downscale fallback disabled.",
+      "info"
+    );
+  });
+
+  imgMinLongEdge.addEventListener("change", () => {
+    state.imgMinLongEdge = clamp(Math.round(Number(imgMinLongEdge.value)) || 1600, 400, 10000);
+    imgMinLongEdge.value = String(state.imgMinLongEdge);
+  });
+
+  imgMetadataSelect.addEventListener("change", () => {
+    state.imgMetadata = METADATA_MODES.includes(imgMetadataSelect.value) ? imgMetadataSelect.value : "strip";
+    const gps = state.imgFiles.some((x) => x.exif?.hasGps);
+    toast(
+      state.imgMetadata === "all" && gps
+        ? "Keeping all metadata: GPS location will be copied into the output."
+        : `Metadata: ${imgMetadataSelect.selectedOptions[0].textContent}`,
+      state.imgMetadata === "all" && gps ? "warn" : "info"
+    );
+    renderImageCompressionList();
+  });
+
   imgTargetKB.addEventListener("change", () => {
     const v = Number(imgTargetKB.value);
-    state.imgTargetKB = clamp(v, 50, 6000);
+    state.imgTargetKB = clamp(v, 50, 25600);
     imgTargetKB.value = String(state.imgTargetKB);
-    if (state.imgTargetKB !== 600) {
-      state.imgUscisPreset = false;
-      imgUscisPreset.checked = false;
-    }
     toast(`Target set to ≤ ${state.imgTargetKB} KB`, "info");
   });
   imgMinQuality.addEventListener("change", () => {
@@ -1537,6 +3025,14 @@ function mount() {
     imgMinQuality.value = String(state.imgMinQuality);
     toast(`Min quality safeguard: ${Math.round(state.imgMinQuality * 100)}%`, "info");
   });
+  imgSsimGuardToggle.addEventListener("change", () => {
+    state.imgSsimGuard = !!imgSsimGuardToggle.checked;
+    toast(state.imgSsimGuard ? `SSIM safeguard: ≥ ${state.imgMinSsim}` : "SSIM safeguard disabled.", "info");
+  });
+  imgMinSsim.addEventListener("change", () => {
+    state.imgMinSsim = clamp(Number(imgMinSsim.value) || 0.95, 0.5, 0.999);
+    imgMinSsim.value = String(state.imgMinSsim);
+  });
 
   imgCompressBtn.addEventListener("click", async () => {
     await compressImages();
@@ -1547,6 +3043,206 @@ function mount() {
     toast("Cleared images.", "success");
   });
 
+  // Images -> PDF events
+  const assemblePageSize = document.querySelector("#assemblePageSize");
+  const assembleMargin = document.querySelector("#assembleMargin");
+  const assembleFitToggle = document.querySelector("#assembleFitToggle");
+  const assembleMaxMB = document.querySelector("#assembleMaxMB");
+  assemblePageSize.value = state.assemblePageSize;
+  assembleMargin.value = String(state.assembleMargin);
+  assemblePageSize.addEventListener("change", () => {
+    state.assemblePageSize = assemblePageSize.value in PAGE_SIZES ? assemblePageSize.value : "fit";
+    clearAssembled();
+  });
+  assembleMargin.addEventListener("change", () => {
+    state.assembleMargin = clamp(Number(assembleMargin.value) || 0, 0, 72);
+    clearAssembled();
+  });
+  assembleFitToggle.addEventListener("change", () => {
+    state.assembleFitUnder = !!assembleFitToggle.checked;
+    clearAssembled();
+  });
+  assembleMaxMB.addEventListener("change", () => {
+    state.assembleMaxMB = clamp(Number(assembleMaxMB.value) || 6, 0.1, 50);
+    assembleMaxMB.value = String(state.assembleMaxMB);
+    clearAssembled();
+    toast(`PDF size cap: ${state.assembleMaxMB} MB`, "info");
+  });
+  document.querySelector("#assemblePickBtn").addEventListener("click", () => imgInput.click());
+  document.querySelector("#assembleBtn").addEventListener("click", assemblePdf);
+  document.querySelector("#assembleDownloadBtn").addEventListener("click", () => {
+    if (!state.assembled) return;
+    downloadBlob(state.assembled.blob, state.assembled.filename);
+    toast("Downloaded PDF.", "success");
+  });
+
+  // Document profiles: choosing one copies its settings into all three tools (they stay
+  // editable); its size limit, formats and dimension rules then flag results that break them.
+  const profileSelect = document.querySelector("#profileSelect");
+  const profileHint = document.querySelector("#profileHint");
+  const profileNameInput = document.querySelector("#profileNameInput");
+  const profileImportInput = document.querySelector("#profileImportInput");
+  const limitLabel = document.querySelector("#limitLabel");
+
+  function syncProfileUI() {
+    const profile = activeProfile();
+    profileSelect.innerHTML = profileOptions();
+    profileHint.textContent = profile
+      ? [describeProfile(profile), profile.note].filter(Boolean).join(" — ")
+      : "Pick a portal's rules, or keep your own settings.";
+    limitLabel.textContent = `${sizeLimit().label} check`;
+    renderGrid();
+    updateSizeUI();
+  }
+
+  function applyProfile(profile) {
+    state.profileId = profile?.id ?? "";
+    if (profile) {
+      if (profile.maxKB) {
+        // Rounded down so the MB fields never allow more than the profile does.
+        const mb = Math.floor((profile.maxKB / 1024) * 1000) / 1000;
+        state.compress = state.fitUnderMax = true;
+        state.maxSizeMB = mb;
+        state.imgTargetKB = profile.maxKB;
+        if (allowsFormat(profile, "pdf")) {
+          state.assembleFitUnder = true;
+          state.assembleMaxMB = mb;
+        }
+      }
+      state.minQuality = profile.minQuality;
+      state.imgMinQuality = clamp(profile.minQuality, 0.1, 0.95);
+      if (profile.maxWidth || profile.maxHeight) {
+        state.sizing = "fit";
+        state.maxWidth = profile.maxWidth ?? 0;
+        state.maxHeight = profile.maxHeight ?? 0;
+      } else if (profile.dpi) {
+        state.sizing = "dpi";
+        state.dpi = profile.dpi;
+      }
+
+      compressToggle.checked = state.compress;
+      fitToggle.checked = state.fitUnderMax;
+      maxSizeInput.value = String(state.maxSizeMB);
+      imgTargetKB.value = String(state.imgTargetKB);
+      imgMinQuality.value = String(state.imgMinQuality);
+      assembleFitToggle.checked = state.assembleFitUnder;
+      assembleMaxMB.value = String(state.assembleMaxMB);
+      sizingSelect.value = state.sizing;
+      dpiInput.value = String(state.dpi);
+      maxWidthInput.value = String(state.maxWidth);
+      maxHeightInput.value = String(state.maxHeight);
+      syncSizingUI();
+      if (!allowsFormat(profile, state.format)) {
+        const format = profile.formats.find((f) => Object.hasOwn(OUTPUT_FORMATS, f));
+        if (format) setFormat(format);
+      }
+      clearAssembled();
+      if (state.mode === "combined") updateCombinedEstimate();
+    }
+    syncProfileUI();
+    toast(profile ? `Profile: ${profile.name}` : "No profile. Settings are unchanged.", "info");
+  }
+
+  // The current tool's settings as a custom profile; rules the settings can't express
+  // (formats, minimum size, aspect) come from the selected profile.
+  function profileFromSettings(name) {
+    const base = activeProfile();
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 64) || "profile";
+    const maxKB =
+      state.appMode === "img"
+        ? state.imgTargetKB
+        : state.appMode === "assemble"
+          ? state.assembleFitUnder && Math.floor(state.assembleMaxMB * 1024)
+          : state.fitUnderMax && Math.floor(state.maxSizeMB * 1024);
+    const fit = state.appMode === "pdf" && state.sizing === "fit";
+    return normalizeProfile({
+      ...base,
+      id,
+      name,
+      note: "",
+      maxKB: maxKB || base?.maxKB,
+      minQuality: state.appMode === "pdf" ? state.minQuality : state.imgMinQuality,
+      dpi: state.sizing === "dpi" ? state.dpi : base?.dpi,
+      formats: base?.formats ?? [state.appMode === "assemble" ? "pdf" : state.format],
+      maxWidth: fit ? state.maxWidth : base?.maxWidth,
+      maxHeight: fit ? state.maxHeight : base?.maxHeight
+    });
+  }
+
+  // Adds or replaces (by id) custom profiles and stores them.
+  function storeProfiles(profiles) {
+    const ids = new Set(profiles.map((p) => p.id));
+    state.customProfiles = [...state.customProfiles.filter((p) => !ids.has(p.id)), ...profiles];
+    saveCustomProfiles();
+  }
+
+  profileSelect.addEventListener("change", () => {
+    applyProfile(findProfile(profileSelect.value, state.customProfiles));
+  });
+
+  document.querySelector("#profileSaveBtn").addEventListener("click", () => {
+    const name = profileNameInput.value.trim();
+    if (!name) {
+      toast("Enter a name for the profile first.", "warn");
+      profileNameInput.focus();
+      return;
+    }
+    let profile;
+    try {
+      profile = profileFromSettings(name);
+    } catch (err) {
+      toast(err.message, "error");
+      return;
+    }
+    if (BUILTIN_PROFILES.some((p) => p.id === profile.id)) {
+      toast(`“${name}” clashes with a built-in profile; choose another name.`, "warn");
+      return;
+    }
+    storeProfiles([profile]);
+    state.profileId = profile.id;
+    profileNameInput.value = "";
+    syncProfileUI();
+    toast(`Saved profile “${profile.name}”.`, "success");
+  });
+
+  document.querySelector("#profileDeleteBtn").addEventListener("click", () => {
+    const profile = state.customProfiles.find((p) => p.id === state.profileId);
+    if (!profile) {
+      toast("Select a custom profile to delete. Built-in profiles can't be removed.", "warn");
+      return;
+    }
+    state.customProfiles = state.customProfiles.filter((p) => p !== profile);
+    saveCustomProfiles();
+    state.profileId = "";
+    syncProfileUI();
+    toast(`Deleted profile “${profile.name}”.`, "success");
+  });
+
+  document.querySelector("#profileExportBtn").addEventListener("click", () => {
+    if (!state.customProfiles.length) {
+      toast("No custom profiles to export yet. Save one first.", "warn");
+      return;
+    }
+    downloadBlob(new Blob([profilesToJson(state.customProfiles)], { type: "application/json" }), "pdf2img-profiles.json");
+    toast(`Exported ${state.customProfiles.length} profile${state.customProfiles.length === 1 ? "" : "s"}.`, "success");
+  });
+
+  document.querySelector("#profileImportBtn").addEventListener("click", () => profileImportInput.click());
+  profileImportInput.addEventListener("change", async () => {
+    const file = profileImportInput.files?.[0];
+    profileImportInput.value = "";
+    if (!file) return;
+    try {
+      const profiles = parseProfiles(await file.text());
+      storeProfiles(profiles);
+      syncProfileUI();
+      toast(`Imported ${profiles.length} profile${profiles.length === 1 ? "" : "s"}.`, "success");
+    } catch (err) {
+      toast(err?.message ? String(err.message) : "Couldn't import profiles.", "error");
+    }
+  });
+
+  syncProfileUI();
   setMode("individual");
   setToolMode("pdf");
   updateStepUI();
@@ -0,0 +1,33 @@
+// mozjpeg compiled to WebAssembly: the same encoder the CLI gets through sharp, so the web
+// app can choose chroma subsampling and progressive mode, which canvas.toBlob can't.
+// Loaded on first use (main thread or worker); where it can't load (no WebAssembly, the
+// .wasm blocked) callers fall back to the canvas encoder.
+
+let loading = null;
+
+// Resolves to encode(image, quality, variant) -> Promise<Blob>, or null if mozjpeg is
+// unavailable. image is ImageData-like ({ data: RGBA, width, height }), quality is 0–1 and
+// variant { subsample: "4:4:4" | "4:2:0", progressive }.
+export function loadMozjpeg() {
+  loading ??= import("@jsquash/jpeg/encode.js")
+    .then(async ({ default: encode }) => {
+      // Instantiating the module is what actually fails, so try a 1×1 encode up front.
+      await encode({ data: new Uint8ClampedArray(4), width: 1, height: 1 }, { quality: 75 });
+      return async (image, quality, variant) => {
+        const buf = await encode(image, {
+          quality: Math.round(quality * 100),
+          progressive: !!variant.progressive,
+          // Sequential JPEGs keep 8-bit quantization tables, as sharp writes them: at low
+          // quality mozjpeg would otherwise switch to 16-bit ones (extended, not baseline
+          // JPEG), which some decoders reject. This option also turns progressive off.
+          baseline: !variant.progressive,
+          auto_subsample: false,
+          chroma_subsample: variant.subsample === "4:2:0" ? 2 : 1,
+          optimize_coding: true
+        });
+        return new Blob([buf], { type: "image/jpeg" });
+      };
+    })
+    .catch(() => null);
+  return loading;
+}
@@ -0,0 +1,118 @@
+// Minimal PDF writer for the Images → PDF tool: one JPEG per page, embedded as-is
+// (DCTDecode), so the file is barely larger than the images inside it.
+
+// Page sizes in PDF points (1/72 in), portrait.
+export const PAGE_SIZES = Object.freeze({
+  letter: { label: "Letter", width: 612, height: 792 },
+  a4: { label: "A4", width: 595.28, height: 841.89 }
+});
+
+// "Fit to image" pages are sized as if the image were printed at this resolution.
+export const FIT_DPI = 150;
+
+// Page box and image rectangle (points, origin bottom-left) for a `width`×`height` px image.
+// Letter/A4 turn landscape for landscape images; "fit" makes the page the image's size at
+// FIT_DPI plus margins. The image is scaled to fit inside the margins and centred.
+export function placeImage(width, height, pageSize, margin) {
+  let pageWidth;
+  let pageHeight;
+  const size = PAGE_SIZES[pageSize];
+  if (size) {
+    const landscape = width > height;
+    pageWidth = landscape ? size.height : size.width;
+    pageHeight = landscape ? size.width : size.height;
+  } else {
+    pageWidth = (width * 72) / FIT_DPI + margin * 2;
+    pageHeight = (height * 72) / FIT_DPI + margin * 2;
+  }
+  const boxWidth = Math.max(1, pageWidth - margin * 2);
+  const boxHeight = Math.max(1, pageHeight - margin * 2);
+  const scale = Math.min(boxWidth / width, boxHeight / height);
+  const w = width * scale;
+  const h = height * scale;
+  return {
+    pageWidth,
+    pageHeight,
+    x: (pageWidth - w) / 2,
+    y: (pageHeight - h) / 2,
+    width: w,
+    height: h
+  };
+}
+
+// Pixel size and colour components from a JPEG's start-of-frame marker.
+export function jpegInfo(bytes) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) throw new Error("Embedded image is not a JPEG.");
+  for (let i = 2; i + 9 < bytes.length; ) {
+    if (bytes[i] !== 0xff) {
+      i++;
+      continue;
+    }
+    const marker = bytes[i + 1];
+    const length = (bytes[i + 2] << 8) | bytes[i + 3];
+    // SOF0–SOF15, excluding DHT (C4), JPG (C8) and DAC (CC).
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return {
+        height: (bytes[i + 5] << 8) | bytes[i + 6],
+        width: (bytes[i + 7] << 8) | bytes[i + 8],
+        components: bytes[i + 9]
+      };
+    }
+    i += 2 + length;
+  }
+  throw new Error("Could not read JPEG dimensions.");
+}
+
+const num = (n) => String(Math.round(n * 100) / 100);
+
+// pages: [{ jpeg: Uint8Array, placement: placeImage(...) }] -> application/pdf Blob.
+export function buildPdf(pages) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, ...parts) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    parts.forEach(write);
+    write("\nendobj\n");
+  };
+
+  // 1 catalog, 2 page tree, then page / content / image triples.
+  const pageIds = pages.map((_, i) => 3 + i * 3);
+  write("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  object(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+
+  pages.forEach(({ jpeg, placement: p }, i) => {
+    const pageId = pageIds[i];
+    const info = jpegInfo(jpeg);
+    const colorSpace = info.components === 1 ? "/DeviceGray" : info.components === 4 ? "/DeviceCMYK" : "/DeviceRGB";
+    const content = `q ${num(p.width)} 0 0 ${num(p.height)} ${num(p.x)} ${num(p.y)} cm /Im0 Do Q`;
+    object(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(p.pageWidth)} ${num(p.pageHeight)}] ` +
+        `/Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+    );
+    object(pageId + 1, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    object(
+      pageId + 2,
+      `<< /Type /XObject /Subtype /Image /Width ${info.width} /Height ${info.height} ` +
+        `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      "\nendstream"
+    );
+  });
+
+  const count = 3 + pages.length * 3;
+  const xref = length;
+  write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let id = 1; id < count; id++) write(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return new Blob(chunks, { type: "application/pdf" });
+}
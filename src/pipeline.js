@@ -0,0 +1,759 @@
+// Render + encode pipeline shared by the main thread and the conversion worker.
+// Nothing in here may touch `state` or the DOM beyond creating canvases.
+import { applyFilters } from "./filters.js";
+import { encodeGrayPng, encodeIndexedPng, encodeTiffPage, isGrayscale, writeTiff } from "./encoders.js";
+import { JPEG_VARIANTS, searchQuality, searchScale } from "./fitsearch.js";
+import { loadMozjpeg } from "./mozjpeg.js";
+import { ssimScore } from "./ssim.js";
+
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+export function abortError() {
+  return new DOMException("Cancelled.", "AbortError");
+}
+
+export function isAbortError(err) {
+  return err?.name === "AbortError";
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError();
+}
+
+export function createCanvas(width, height) {
+  // DOM canvas on the main thread, OffscreenCanvas inside the worker.
+  if (typeof document !== "undefined") {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return new OffscreenCanvas(width, height);
+}
+
+export function canvasToJpegBlob(canvas, quality) {
+  return canvasToBlob(canvas, "image/jpeg", quality);
+}
+
+// Output formats. "jpg" and "jpeg" are the same encoder with different extensions; lossy
+// formats fit a size target by quality search, PNG by palette reduction, and TIFF (lossless
+// Deflate) only through the downscale fallback.
+export const OUTPUT_FORMATS = Object.freeze({
+  jpg: { label: "JPG", mime: "image/jpeg", lossy: true },
+  jpeg: { label: "JPEG", mime: "image/jpeg", lossy: true },
+  png: { label: "PNG", mime: "image/png", lossy: false },
+  webp: { label: "WebP", mime: "image/webp", lossy: true },
+  tiff: { label: "TIFF", mime: "image/tiff", lossy: false }
+});
+
+export function formatInfo(format) {
+  return OUTPUT_FORMATS[format] ?? OUTPUT_FORMATS.jpg;
+}
+
+// Palette sizes tried, largest first, when a lossless PNG is over the target. 16 colours is
+// the floor (the PNG counterpart of min quality): enough for gray levels of scanned text.
+const PNG_PALETTES = [256, 128, 64, 32, 16];
+
+export function canvasToBlob(canvas, mime, quality) {
+  const label = mime.split("/")[1].toUpperCase();
+  // Browsers that can't encode a type silently hand back PNG instead.
+  const checked = (blob) => {
+    if (blob.type !== mime) throw new Error(`This browser can't export ${label}. Choose another output format.`);
+    return blob;
+  };
+  if (typeof canvas.convertToBlob === "function") {
+    return canvas.convertToBlob({ type: mime, quality }).then(checked);
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (b) => (b ? resolve(b) : reject(new Error(`Failed to export canvas to ${label}.`))),
+      mime,
+      quality
+    );
+  }).then(checked);
+}
+
+function canvasPixels(canvas) {
+  return canvas.getContext("2d", { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Above this many pixels the SSIM score is skipped (null): it needs the source and a decoded
+// copy in memory at once, which very tall combined images can't afford.
+const SSIM_MAX_PIXELS = 24e6;
+
+// SSIM of an encoded `blob` against the `canvas` it came from, or null when too large.
+async function scoreBlob(canvas, blob) {
+  if (canvas.width * canvas.height > SSIM_MAX_PIXELS) return null;
+  const bitmap = await createImageBitmap(blob);
+  const decoded = createCanvas(canvas.width, canvas.height);
+  decoded.getContext("2d", { willReadFrequently: true }).drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+  return ssimScore(canvasPixels(canvas), canvasPixels(decoded));
+}
+
+// Full-fidelity PNG/TIFF. Pages without colour are stored as single-channel gray.
+async function encodeLossless(canvas, format, dpi) {
+  const image = canvasPixels(canvas);
+  if (format === "tiff") return writeTiff([await encodeTiffPage(image, dpi)]);
+  if (isGrayscale(image)) return await encodeGrayPng(image);
+  return await canvasToBlob(canvas, "image/png");
+}
+
+// One encode at `quality` (ignored by lossless formats). `dpi` is recorded in TIFF headers.
+export async function encodeCanvas(canvas, format, quality, dpi) {
+  const info = formatInfo(format);
+  if (!info.lossy) return await encodeLossless(canvas, format, dpi);
+  return await canvasToBlob(canvas, info.mime, quality);
+}
+
+// opts: { format, targetBytes, baseQuality, minQuality, minSsim, jpeg, downscale, dpi, signal }.
+// Resolves to { blob, canvas, usedQuality, colors, ssim, variant, tried, pass, width, height,
+// scale }; canvas holds the pixels that were encoded (downscaled or not), usedQuality is null
+// for lossless formats, colors is the PNG palette size (0 = full colour), ssim the output's
+// score against the (possibly downscaled) source, or null if too large, and variant the
+// mozjpeg { subsample, progressive } used (null from canvas.toBlob).
+export async function encodeCanvasFitUnder(canvas, opts) {
+  const result = await encodeFit(canvas, opts);
+  if (result.pass || !opts?.downscale || !opts.targetBytes) {
+    return { ...result, canvas, width: canvas.width, height: canvas.height, scale: 1 };
+  }
+  return await encodeDownscaled(canvas, opts, result);
+}
+
+function encodeFit(canvas, opts) {
+  return formatInfo(opts?.format).lossy ? encodeQualitySearch(canvas, opts) : encodeLosslessFit(canvas, opts);
+}
+
+export function scaledCanvas(canvas, scale) {
+  const out = createCanvas(
+    Math.max(1, Math.round(canvas.width * scale)),
+    Math.max(1, Math.round(canvas.height * scale))
+  );
+  const ctx = out.getContext("2d", { alpha: false });
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(canvas, 0, 0, out.width, out.height);
+  return out;
+}
+
+// Opt-in fallback once quality alone can't reach the target: shrink the pixel dimensions
+// step by step (see searchScale), never below opts.downscale's floor ({ minLongEdge } in
+// pixels and/or { minScale }). If even the floor fails, the full-resolution best-clarity
+// result stands.
+async function encodeDownscaled(canvas, opts, fullRes) {
+  const longEdge = Math.max(canvas.width, canvas.height);
+  const { result, tried } = await searchScale(
+    async (scale) => {
+      const small = scaledCanvas(canvas, scale);
+      const res = await encodeFit(small, { ...opts, dpi: opts.dpi && opts.dpi * scale });
+      return { ...res, canvas: small, width: small.width, height: small.height, scale };
+    },
+    {
+      width: canvas.width,
+      height: canvas.height,
+      targetBytes: opts.targetBytes,
+      fullBytes: fullRes.blob.size,
+      minScale: Math.max(opts.downscale.minScale ?? 0, (opts.downscale.minLongEdge ?? 0) / longEdge)
+    }
+  );
+  if (result) return { ...result, tried: fullRes.tried + tried };
+  return { ...fullRes, canvas, tried: fullRes.tried + tried, width: canvas.width, height: canvas.height, scale: 1 };
+}
+
+// Lossless first; PNG then walks down PNG_PALETTES until one fits. If none does, the
+// smallest palette is returned with pass=false (TIFF has no lossy step). With opts.minSsim
+// the walk also stops at the first palette scoring below it, keeping the one before.
+async function encodeLosslessFit(canvas, opts) {
+  const targetBytes = opts?.targetBytes ?? null;
+  throwIfAborted(opts?.signal);
+  const full = await encodeLossless(canvas, opts.format, opts.dpi);
+  const pass = !targetBytes || full.size <= targetBytes;
+  if (pass || opts.format !== "png") return { blob: full, usedQuality: null, colors: 0, ssim: 1, tried: 1, pass };
+
+  const image = canvasPixels(canvas);
+  const minSsim = opts.minSsim ?? null;
+  let tried = 1;
+  let kept = { blob: full, colors: 0, ssim: 1 };
+  for (const n of PNG_PALETTES) {
+    throwIfAborted(opts.signal);
+    const blob = await encodeIndexedPng(image, n);
+    const score = await scoreBlob(canvas, blob);
+    tried++;
+    if (minSsim != null && score != null && score < minSsim) break;
+    kept = { blob, colors: n, ssim: score };
+    if (blob.size <= targetBytes) return { ...kept, usedQuality: null, tried, pass: true };
+  }
+  return { ...kept, usedQuality: null, tried, pass: false };
+}
+
+// Lossy formats: the shared quality search (fitsearch.js). JPEG is encoded with mozjpeg when
+// it loads: the CLI's four variants against a target, opts.jpeg ({ subsample, progressive })
+// without one. canvas.toBlob (WebP, or no WebAssembly) only exposes quality, so that
+// backend has a single variant.
+async function encodeQualitySearch(canvas, opts) {
+  const mime = formatInfo(opts?.format).mime;
+  const signal = opts?.signal;
+  const targetBytes = opts?.targetBytes ?? null;
+  const mozjpeg = mime === "image/jpeg" ? await loadMozjpeg() : null;
+  const pixels = mozjpeg ? canvasPixels(canvas) : null;
+  const backend = {
+    variants: !mozjpeg ? [{}] : targetBytes ? JPEG_VARIANTS : [opts.jpeg ?? JPEG_VARIANTS[0]],
+    encode: (quality, variant) => {
+      throwIfAborted(signal);
+      return mozjpeg ? mozjpeg(pixels, quality, variant) : canvasToBlob(canvas, mime, quality);
+    },
+    score: (blob) => scoreBlob(canvas, blob)
+  };
+  const res = await searchQuality(backend, {
+    targetBytes,
+    baseQuality: clamp(opts?.baseQuality ?? 0.85, 0.1, 1.0),
+    minQuality: clamp(opts?.minQuality ?? 0.55, 0.1, 1.0),
+    minSsim: opts?.minSsim ?? null
+  });
+  return {
+    blob: res.encoded,
+    usedQuality: res.quality,
+    ssim: res.ssim,
+    variant: mozjpeg ? res.variant : null,
+    tried: res.tried,
+    pass: res.pass
+  };
+}
+
+// `dpi` is the canvas' resolution, recorded in formats that store one (TIFF).
+// Without compression it's a single encode at settings.quality (and settings.jpeg's
+// subsampling/progressive). Neither encoder writes metadata, so there's none to strip.
+export async function encodeCanvasSmart(canvas, settings, signal, dpi) {
+  return await encodeCanvasFitUnder(canvas, {
+    format: settings.format,
+    targetBytes: settings.compress ? settings.targetBytes : null,
+    baseQuality: settings.quality,
+    minQuality: settings.minQuality,
+    minSsim: settings.minSsim,
+    jpeg: settings.jpeg,
+    downscale: settings.downscale,
+    dpi,
+    signal
+  });
+}
+
+export function spacingPx(spacing) {
+  if (spacing === "none") return 0;
+  if (spacing === "medium") return 40;
+  if (spacing === "large") return 80;
+  return 20; // small
+}
+
+// Pages per row for a combined layout: "vertical" stack, "horizontal" strip, "2up" pairs
+// or a "grid" of `columns`.
+export function layoutColumns(layout, count) {
+  if (layout?.layout === "horizontal") return Math.max(1, count);
+  if (layout?.layout === "2up") return 2;
+  if (layout?.layout === "grid") return clamp(Math.round(layout.columns) || 2, 1, 12);
+  return 1;
+}
+
+// `layout` is { layout, columns, spacing } (conversion settings work as-is). Each column is
+// as wide as its widest page and each row as tall as its tallest; pages sit at the top-left
+// of their cell, separated by the gutter.
+export function calcCombinedPlan(pageDims, layout) {
+  const spacing = spacingPx(layout?.spacing);
+  const columns = Math.min(layoutColumns(layout, pageDims.length), Math.max(1, pageDims.length));
+  const colWidths = new Array(columns).fill(0);
+  const rowHeights = [];
+  pageDims.forEach((d, i) => {
+    const col = i % columns;
+    const row = Math.floor(i / columns);
+    colWidths[col] = Math.max(colWidths[col], d.width);
+    rowHeights[row] = Math.max(rowHeights[row] || 0, d.height);
+  });
+  const colX = [];
+  let width = 0;
+  colWidths.forEach((w, col) => {
+    colX.push(width);
+    width += w + (col < columns - 1 ? spacing : 0);
+  });
+  const rowY = [];
+  let height = 0;
+  rowHeights.forEach((h, row) => {
+    rowY.push(height);
+    height += h + (row < rowHeights.length - 1 ? spacing : 0);
+  });
+  const positions = pageDims.map((_, i) => ({
+    x: colX[i % columns],
+    y: rowY[Math.floor(i / columns)]
+  }));
+  return { width, height, spacing, columns, rows: rowHeights.length, positions };
+}
+
+export function canvasSizeGuard(width, height) {
+  // Conservative guardrails for canvas limits/memory.
+  const maxDim = 16384;
+  if (width > maxDim || height > maxDim) {
+    return `Combined image is too large (${Math.round(width)}×${Math.round(
+      height
+    )}). Try a lower DPI, another layout, fewer pages, or Individual Pages.`;
+  }
+  const pixels = width * height;
+  if (pixels > 140_000_000) {
+    return `Combined image is very large (~${Math.round(
+      pixels / 1_000_000
+    )}MP). Try a lower DPI or Individual Pages.`;
+  }
+  return null;
+}
+
+// pdf.js takes an absolute rotation, so user rotation is added to the page's own /Rotate.
+export function pageRotation(page, extraDegrees) {
+  return (page.rotate + (extraDegrees || 0)) % 360;
+}
+
+// --- Scan cleanup: auto-crop + deskew -------------------------------------------------
+// Analysis runs on a downscaled grayscale copy; only the final rotate/crop touches the
+// full-resolution canvas.
+
+const CLEANUP_SAMPLE_EDGE = 800;
+const INK_LUMA = 160; // darker than this counts as content (gray scanner borders don't)
+const MAX_SKEW_DEG = 5;
+
+function inkMask(canvas) {
+  const scale = Math.min(1, CLEANUP_SAMPLE_EDGE / Math.max(canvas.width, canvas.height));
+  const width = Math.max(1, Math.round(canvas.width * scale));
+  const height = Math.max(1, Math.round(canvas.height * scale));
+  const small = createCanvas(width, height);
+  const ctx = small.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(canvas, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const mask = new Uint8Array(width * height);
+  for (let i = 0, j = 0; i < mask.length; i++, j += 4) {
+    mask[i] = data[j] * 0.299 + data[j + 1] * 0.587 + data[j + 2] * 0.114 < INK_LUMA ? 1 : 0;
+  }
+  return { mask, width, height, scale };
+}
+
+// Bounding box of content in mask coordinates, or null for a blank page. Near-empty lines
+// (specks) and near-solid lines (black scanner edges) are both trimmed from the outside in.
+function contentBox({ mask, width, height }) {
+  const rowInk = new Array(height).fill(0);
+  const colInk = new Array(width).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) {
+        rowInk[y]++;
+        colInk[x]++;
+      }
+    }
+  }
+  const isContent = (ink, len) => ink >= Math.max(2, len * 0.002) && ink <= len * 0.9;
+  let top = 0;
+  let bottom = height - 1;
+  let left = 0;
+  let right = width - 1;
+  while (top <= bottom && !isContent(rowInk[top], width)) top++;
+  while (bottom >= top && !isContent(rowInk[bottom], width)) bottom--;
+  while (left <= right && !isContent(colInk[left], height)) left++;
+  while (right >= left && !isContent(colInk[right], height)) right--;
+  if (top > bottom || left > right) return null;
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+// Projection-profile skew estimate: text lines give the sharpest row histogram when the
+// projection angle matches their slant. Returns degrees (positive = clockwise slant).
+function estimateSkew({ mask, width, height }) {
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+  if (xs.length < 200) return 0;
+  const stride = Math.max(1, Math.floor(xs.length / 60_000));
+  const bins = new Float64Array(width + height * 2);
+  const score = (deg) => {
+    const rad = (deg * Math.PI) / 180;
+    const sin = Math.sin(rad);
+    const cos = Math.cos(rad);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i += stride) bins[Math.round(ys[i] * cos - xs[i] * sin) + width]++;
+    let sum = 0;
+    for (let i = 0; i < bins.length; i++) sum += bins[i] * bins[i];
+    return sum;
+  };
+  const search = (from, to, step, best) => {
+    for (let deg = from; deg <= to + 1e-9; deg += step) {
+      const sc = score(deg);
+      if (sc > best.score) best = { deg, score: sc };
+    }
+    return best;
+  };
+  let best = search(-MAX_SKEW_DEG, MAX_SKEW_DEG, 0.5, { deg: 0, score: score(0) });
+  best = search(best.deg - 0.4, best.deg + 0.4, 0.1, best);
+  return Math.round(best.deg * 10) / 10;
+}
+
+function rotateCanvas(canvas, deg) {
+  const out = createCanvas(canvas.width, canvas.height);
+  const ctx = out.getContext("2d", { alpha: false });
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.imageSmoothingQuality = "high";
+  ctx.translate(out.width / 2, out.height / 2);
+  ctx.rotate((-deg * Math.PI) / 180);
+  ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+  return out;
+}
+
+function cropCanvas(canvas, box) {
+  const out = createCanvas(box.width, box.height);
+  out.getContext("2d", { alpha: false }).drawImage(canvas, -box.x, -box.y);
+  return out;
+}
+
+// opts: { crop, deskew, padding } with padding in output pixels. Returns the cleaned
+// canvas plus what was done: angle (degrees corrected, 0 if none) and crop (box in the
+// deskewed canvas, or null when nothing was trimmed).
+export function cleanupScan(canvas, opts) {
+  let out = canvas;
+  let angle = 0;
+  if (opts?.deskew) {
+    const skew = estimateSkew(inkMask(out));
+    if (Math.abs(skew) >= 0.1) {
+      out = rotateCanvas(out, skew);
+      angle = skew;
+    }
+  }
+
+  let crop = null;
+  if (opts?.crop) {
+    const m = inkMask(out);
+    const box = contentBox(m);
+    if (box) {
+      const pad = Math.max(0, opts.padding || 0);
+      const x = Math.max(0, Math.floor(box.x / m.scale - pad));
+      const y = Math.max(0, Math.floor(box.y / m.scale - pad));
+      const right = Math.min(out.width, Math.ceil((box.x + box.width) / m.scale + pad));
+      const bottom = Math.min(out.height, Math.ceil((box.y + box.height) / m.scale + pad));
+      if (right - x < out.width || bottom - y < out.height) {
+        crop = { x, y, width: right - x, height: bottom - y };
+        out = cropCanvas(out, crop);
+      }
+    }
+  }
+  return { canvas: out, angle, crop };
+}
+
+// Small JPEG of a canvas for before/after previews, and in place of outputs the browser
+// can't display (TIFF).
+export async function previewBlob(canvas, maxWidth = 360) {
+  const scale = Math.min(1, maxWidth / canvas.width);
+  const small = createCanvas(
+    Math.max(1, Math.round(canvas.width * scale)),
+    Math.max(1, Math.round(canvas.height * scale))
+  );
+  small.getContext("2d", { alpha: false }).drawImage(canvas, 0, 0, small.width, small.height);
+  return await canvasToJpegBlob(small, 0.75);
+}
+
+// PDF user space is 1/72 inch, so a viewport scale of 1 is 72 DPI.
+export const POINTS_PER_INCH = 72;
+
+// Viewport scale for a page under `sizing`:
+//   { mode: "dpi", dpi }                       fixed DPI (72–600)
+//   { mode: "fit", maxWidth, maxHeight }       largest scale that fits the box (0 = no limit)
+// Fit mode caps at 600 DPI but has no floor: the box is a hard limit, so a small box gives
+// a low DPI rather than a page that overflows it.
+export function renderScale(page, rotation, sizing) {
+  if (sizing?.mode !== "fit") return clamp(sizing?.dpi || 144, 72, 600) / POINTS_PER_INCH;
+  const base = page.getViewport({ scale: 1, rotation });
+  const limits = [];
+  if (sizing.maxWidth > 0) limits.push(sizing.maxWidth / base.width);
+  if (sizing.maxHeight > 0) limits.push(sizing.maxHeight / base.height);
+  const scale = limits.length ? Math.min(...limits) : 144 / POINTS_PER_INCH;
+  return Math.min(scale, 600 / POINTS_PER_INCH);
+}
+
+function pageViewport(page, ref, settings) {
+  const rotation = pageRotation(page, ref.rotation);
+  return page.getViewport({ scale: renderScale(page, rotation, settings.sizing), rotation });
+}
+
+// The downscale floor arrives as { minDpi }; the encoder wants it relative to the pixels it
+// was given, i.e. as a fraction of the DPI the canvas was rendered at.
+function withDpiFloor(settings, renderDpi) {
+  if (!settings.downscale?.minDpi) return settings;
+  return { ...settings, downscale: { minScale: Math.min(1, settings.downscale.minDpi / renderDpi) } };
+}
+
+async function renderPage(pdfDocs, ref, settings, signal) {
+  throwIfAborted(signal);
+  const page = await pdfDocs[ref.doc].getPage(ref.pageNumber);
+  const viewport = pageViewport(page, ref, settings);
+  const canvas = createCanvas(Math.floor(viewport.width), Math.floor(viewport.height));
+  const ctx = canvas.getContext("2d", { alpha: false });
+  const task = page.render({ canvasContext: ctx, viewport });
+  const onAbort = () => task.cancel();
+  signal?.addEventListener("abort", onAbort);
+  try {
+    await task.promise;
+  } catch (err) {
+    throwIfAborted(signal);
+    throw err;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+  }
+  return { canvas, dpi: viewport.scale * POINTS_PER_INCH };
+}
+
+// renderPage + optional scan cleanup (settings.cleanup: { crop, deskew, padding } with
+// padding in points, scaled to the render DPI) + enhancement filters (settings.filters).
+// With `wantBefore`, `before` is a small preview of the untouched render whenever either
+// stage is on.
+async function renderProcessedPage(pdfDocs, ref, settings, signal, wantBefore) {
+  const { canvas: raw, dpi } = await renderPage(pdfDocs, ref, settings, signal);
+  const before = wantBefore && (settings.cleanup || settings.filters) ? await previewBlob(raw) : null;
+  let result = { canvas: raw, angle: 0, crop: null };
+  if (settings.cleanup) {
+    throwIfAborted(signal);
+    result = cleanupScan(raw, {
+      ...settings.cleanup,
+      padding: (settings.cleanup.padding * dpi) / POINTS_PER_INCH
+    });
+  }
+  if (settings.filters) {
+    throwIfAborted(signal);
+    applyFilters(result.canvas, settings.filters);
+  }
+  return { ...result, before, dpi };
+}
+
+// <img> can't show TIFF in most browsers, so those outputs come with a JPEG preview.
+function needsPreview(settings) {
+  return settings.format === "tiff";
+}
+
+const yieldToLoop = () => new Promise((r) => setTimeout(r, 0));
+
+// Longest run of pages starting at `start` whose stacked image passes canvasSizeGuard
+// (0 if even the first page alone is too large).
+function maxGuardedRun(pageDims, start, layout) {
+  let count = 0;
+  while (start + count < pageDims.length) {
+    const plan = calcCombinedPlan(pageDims.slice(start, start + count + 1), layout);
+    if (canvasSizeGuard(plan.width, plan.height)) break;
+    count++;
+  }
+  return count;
+}
+
+// Greedy split into consecutive groups that each pass the dimension guard.
+export function packByDimensions(pageDims, layout) {
+  const groups = [];
+  for (let start = 0; start < pageDims.length; ) {
+    const count = maxGuardedRun(pageDims, start, layout);
+    if (!count) {
+      const d = pageDims[start];
+      return { groups: [], error: canvasSizeGuard(d.width, d.height) };
+    }
+    groups.push({ start, count });
+    start += count;
+  }
+  return { groups, error: null };
+}
+
+// Processed page canvases for one combined job, rendered on first use and kept until
+// released, so measuring cropped sizes and the auto-split search (which lays the same pages
+// out several times) render each page once.
+function createPageCache(pdfDocs, settings, signal) {
+  const rendered = new Map();
+  return {
+    async get(ref) {
+      if (!rendered.has(ref)) rendered.set(ref, await renderProcessedPage(pdfDocs, ref, settings, signal));
+      return rendered.get(ref);
+    },
+    release(ref) {
+      rendered.delete(ref);
+    }
+  };
+}
+
+async function measurePages(pdfDocs, pages, settings, signal) {
+  const dims = [];
+  for (const ref of settings.order) {
+    throwIfAborted(signal);
+    if (settings.cleanup) {
+      // Cropped size is only known after rendering.
+      const { canvas, dpi } = await pages.get(ref);
+      dims.push({ ref, width: canvas.width, height: canvas.height, dpi });
+      await yieldToLoop();
+      continue;
+    }
+    const page = await pdfDocs[ref.doc].getPage(ref.pageNumber);
+    const vp = pageViewport(page, ref, settings);
+    dims.push({ ref, width: Math.floor(vp.width), height: Math.floor(vp.height), dpi: vp.scale * POINTS_PER_INCH });
+  }
+  return dims;
+}
+
+// Lays `dims` out on one canvas (see calcCombinedPlan) from the page cache and encodes it.
+async function composeCombined(pages, dims, settings, signal, onPageDrawn) {
+  const plan = calcCombinedPlan(dims, settings);
+  const combinedCanvas = createCanvas(plan.width, plan.height);
+  const combinedCtx = combinedCanvas.getContext("2d", { alpha: false });
+  combinedCtx.fillStyle = settings.background || "#ffffff";
+  combinedCtx.fillRect(0, 0, combinedCanvas.width, combinedCanvas.height);
+
+  for (let i = 0; i < dims.length; i++) {
+    const { canvas } = await pages.get(dims[i].ref);
+    combinedCtx.drawImage(canvas, plan.positions[i].x, plan.positions[i].y);
+    onPageDrawn?.(i);
+    await yieldToLoop();
+  }
+
+  // Mixed DPIs (fit mode): hold the floor against the lowest-resolution page.
+  const renderDpi = Math.min(...dims.map((d) => d.dpi));
+  const { blob, canvas: encoded, usedQuality, colors, ssim, pass, width, height, scale } = await encodeCanvasSmart(
+    combinedCanvas,
+    withDpiFloor(settings, renderDpi),
+    signal,
+    renderDpi
+  );
+  const preview = needsPreview(settings) ? await previewBlob(encoded, 1600) : null;
+  return { blob, preview, width, height, scale, usedQuality, colors, ssim, pass, dpi: Math.round(renderDpi * scale) };
+}
+
+// Auto-split: packs consecutive pages into as few parts as possible. Each part is the
+// longest run that passes the dimension guard and, once encoded, fits `settings.splitBytes`.
+// The run length is searched from an estimate (the bytes per pixel of the last encode), so
+// a part usually takes a few encodes near its final size rather than a bisection from the
+// whole document. Splitting is preferred over downscaling: the downscale fallback only
+// applies to a single page that can't fit on its own, and if that still fails the page is
+// kept with pass=false.
+async function packCombinedParts(pages, dims, settings, hooks, signal) {
+  const limit = settings.splitBytes;
+  const packSettings = { ...settings, downscale: null };
+  const fits = (part) => part.pass && (!limit || part.blob.size <= limit);
+  const pixels = (start, count) => dims.slice(start, start + count).reduce((sum, d) => sum + d.width * d.height, 0);
+  const parts = [];
+  let bytesPerPixel = 0;
+
+  for (let start = 0; start < dims.length; ) {
+    const maxCount = maxGuardedRun(dims, start, settings);
+    if (!maxCount) {
+      const d = dims[start];
+      throw new Error(canvasSizeGuard(d.width, d.height));
+    }
+
+    const tried = new Map();
+    const attempt = async (count) => {
+      hooks.onProgress(
+        (start / dims.length) * 100,
+        `Packing part ${parts.length + 1} (pages ${start + 1}–${start + count} of ${dims.length})…`
+      );
+      const part = await composeCombined(pages, dims.slice(start, start + count), packSettings, signal);
+      tried.set(count, part);
+      bytesPerPixel = part.blob.size / pixels(start, count);
+      return part;
+    };
+    const estimate = () => {
+      if (!limit) return maxCount;
+      let count = 0;
+      while (count < maxCount && pixels(start, count + 1) * bytesPerPixel <= limit) count++;
+      return Math.max(1, count);
+    };
+
+    // Largest count that fits: probe the estimate, gallop away from it until the answer is
+    // bracketed, then bisect. With nothing encoded yet, the first page alone sets the rate.
+    let lo = 0; // longest run known to fit
+    let hi = maxCount + 1; // shortest run known not to
+    let probe = bytesPerPixel || !limit ? estimate() : 1;
+    for (let step = 1; hi - lo > 1; step *= 2) {
+      if (fits(await attempt(probe))) lo = probe;
+      else hi = probe;
+      const next = probe === lo ? Math.max(probe + step, estimate()) : Math.min(probe - step, estimate());
+      probe = next > lo && next < hi ? next : Math.floor((lo + hi) / 2);
+    }
+    const count = Math.max(1, lo);
+
+    let part = tried.get(count) ?? (await attempt(count));
+    if (!fits(part) && count === 1 && settings.downscale) {
+      part = await composeCombined(pages, dims.slice(start, start + 1), settings, signal);
+    }
+    parts.push({ ...part, pass: fits(part), start, count });
+    for (const d of dims.slice(start, start + count)) pages.release(d.ref);
+    start += count;
+  }
+
+  hooks.onProgress(100, `Packed ${dims.length} pages into ${parts.length} part${parts.length === 1 ? "" : "s"}.`);
+  return parts;
+}
+
+// Renders `settings.order` ({ doc, pageNumber, rotation } refs into `pdfDocs`) and reports
+// results through `hooks`:
+//   onPage({ index, doc, pageNumber, blob, preview, width, height, scale, dpi, usedQuality,
+//            colors, ssim, pass, before, angle, crop })
+//     (individual mode; width/height/scale/dpi describe the encoded image after any
+//     downscale, `before` is a small preview of the unprocessed render, or null, and
+//     `preview` a displayable stand-in when `blob` is a TIFF)
+//   onProgress(pct, text)
+// In combined mode resolves to the parts ({ blob, preview, width, height, scale, dpi,
+// usedQuality, colors, ssim, pass, start, count } over `order`): one part unless `settings.autoSplit`; otherwise resolves to null.
+// Rejects with an AbortError once `signal` fires; pages already reported through onPage
+// stay valid.
+export async function convertPdfPages(pdfDocs, settings, hooks, signal) {
+  const { order } = settings;
+
+  if (settings.mode === "individual") {
+    for (let i = 0; i < order.length; i++) {
+      const ref = order[i];
+      const rendered = await renderProcessedPage(pdfDocs, ref, settings, signal, true);
+      const { canvas, before, angle, crop } = rendered;
+      const { blob, canvas: encoded, usedQuality, colors, ssim, pass, width, height, scale } = await encodeCanvasSmart(
+        canvas,
+        withDpiFloor(settings, rendered.dpi),
+        signal,
+        rendered.dpi
+      );
+      hooks.onPage({
+        index: i,
+        doc: ref.doc,
+        pageNumber: ref.pageNumber,
+        blob,
+        preview: needsPreview(settings) ? await previewBlob(encoded, 800) : null,
+        width,
+        height,
+        scale,
+        dpi: Math.round(rendered.dpi * scale),
+        usedQuality,
+        colors,
+        ssim,
+        pass,
+        before,
+        angle,
+        crop
+      });
+      hooks.onProgress(((i + 1) / order.length) * 100, `Rendering page ${i + 1} / ${order.length}…`);
+      await yieldToLoop();
+    }
+    return null;
+  }
+
+  const pages = createPageCache(pdfDocs, settings, signal);
+  const dims = await measurePages(pdfDocs, pages, settings, signal);
+  if (settings.autoSplit) return await packCombinedParts(pages, dims, settings, hooks, signal);
+
+  const plan = calcCombinedPlan(dims, settings);
+  const guard = canvasSizeGuard(plan.width, plan.height);
+  if (guard) throw new Error(guard);
+
+  // Each page is drawn once here, so it leaves the cache as soon as it's on the canvas.
+  const part = await composeCombined(pages, dims, settings, signal, (i) => {
+    pages.release(dims[i].ref);
+    hooks.onProgress(((i + 1) / dims.length) * 100, `Placing page ${i + 1} / ${dims.length}…`);
+  });
+  return [{ ...part, start: 0, count: dims.length }];
+}
@@ -0,0 +1,204 @@
+// Document profiles: the size, format, resolution and pixel-dimension rules of one portal or
+// document type. Built-in ones cover common filings; users can add their own (the web app keeps
+// them in localStorage, both tools read and write them as JSON). Shared by the web app and the
+// CLI (--profile), so a profile means the same thing in both.
+//
+// A profile: { id, name, note, maxKB, minQuality, dpi, formats, minWidth, minHeight, maxWidth,
+// maxHeight, aspect }. Everything but id, name and formats is optional (null = no rule).
+// maxKB is per output file; dpi is the PDF render resolution; aspect is width / height.
+
+export const PROFILE_FORMATS = Object.freeze(["jpg", "jpeg", "png", "webp", "tiff", "pdf"]);
+const DIMENSION_FIELDS = ["minWidth", "minHeight", "maxWidth", "maxHeight"];
+
+// Limits as the portals published them when these were written; portals change them, so the
+// notes say what to double-check.
+export const BUILTIN_PROFILES = Object.freeze(
+  [
+    {
+      id: "uscis-online",
+      name: "USCIS online filing",
+      note: "Evidence uploads: PDF, JPG or TIFF, up to 6 MB per file.",
+      maxKB: 6144,
+      minQuality: 0.55,
+      dpi: 200,
+      formats: ["jpg", "jpeg", "tiff", "pdf"]
+    },
+    {
+      id: "uscis-600kb",
+      name: "USCIS-safe 600 KB",
+      note: "Conservative cap for uploads that reject larger files; resolution is kept.",
+      maxKB: 600,
+      minQuality: 0.55,
+      dpi: 150,
+      formats: ["jpg", "jpeg", "pdf"]
+    },
+    {
+      id: "us-visa-photo",
+      name: "US visa photo (DS-160)",
+      note: "Square JPEG, 600×600 to 1200×1200 px, up to 240 KB.",
+      maxKB: 240,
+      minQuality: 0.5,
+      formats: ["jpg", "jpeg"],
+      minWidth: 600,
+      minHeight: 600,
+      maxWidth: 1200,
+      maxHeight: 1200,
+      aspect: 1
+    },
+    {
+      id: "ceac-documents",
+      name: "CEAC civil documents (immigrant visa)",
+      note: "Document uploads: PDF or JPEG, up to 2 MB per file.",
+      maxKB: 2048,
+      minQuality: 0.55,
+      dpi: 150,
+      formats: ["jpg", "jpeg", "pdf"]
+    },
+    {
+      id: "state-dmv",
+      name: "State DMV upload (typical)",
+      note: "Common limits across state portals; check yours before uploading.",
+      maxKB: 1024,
+      minQuality: 0.55,
+      dpi: 150,
+      formats: ["jpg", "jpeg", "png", "pdf"]
+    }
+  ].map((p) => Object.freeze(normalizeProfile(p)))
+);
+
+// A validated copy of a profile read from JSON (import, --profiles) or built from settings.
+// Throws an Error naming the profile and field on anything invalid.
+export function normalizeProfile(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("A profile must be a JSON object.");
+  const label = typeof raw.name === "string" && raw.name.trim() ? raw.name.trim() : raw.id;
+  const fail = (msg) => {
+    throw new Error(`Profile "${label ?? "?"}": ${msg}`);
+  };
+  const number = (key, min, max) => {
+    const v = raw[key];
+    if (v == null || v === "" || v === 0) return null;
+    if (typeof v !== "number" || !Number.isFinite(v) || v < min || v > max) fail(`${key} must be a number from ${min} to ${max}.`);
+    return v;
+  };
+
+  const id = typeof raw.id === "string" ? raw.id.trim() : "";
+  if (!/^[a-z0-9][a-z0-9-]{0,63}$/.test(id)) fail("id must be lowercase letters, digits and dashes.");
+  const name = typeof raw.name === "string" && raw.name.trim() ? raw.name.trim().slice(0, 80) : id;
+
+  if (!Array.isArray(raw.formats) || !raw.formats.length) fail(`formats must list one or more of ${PROFILE_FORMATS.join(", ")}.`);
+  const formats = new Set();
+  for (const f of raw.formats) {
+    const format = String(f).toLowerCase().replace(/^\./, "");
+    if (!PROFILE_FORMATS.includes(format)) fail(`unknown format "${f}".`);
+    formats.add(format);
+  }
+  // .jpg and .jpeg are the same file type; portals that accept one accept both.
+  if (formats.has("jpg") || formats.has("jpeg")) formats.add("jpg").add("jpeg");
+
+  let aspect = raw.aspect;
+  if (typeof aspect === "string") {
+    const m = /^\s*(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)\s*$/.exec(aspect);
+    if (!m || !Number(m[2])) fail(`aspect "${aspect}" must look like "1:1" or be a number.`);
+    aspect = Number(m[1]) / Number(m[2]);
+  }
+  if (aspect != null && (typeof aspect !== "number" || !(aspect >= 0.1 && aspect <= 10))) {
+    fail("aspect must be a ratio from 0.1 to 10 (width / height).");
+  }
+
+  const profile = {
+    id,
+    name,
+    note: typeof raw.note === "string" ? raw.note.trim().slice(0, 200) : "",
+    maxKB: number("maxKB", 50, 25600),
+    minQuality: number("minQuality", 0.1, 1) ?? 0.55,
+    dpi: number("dpi", 72, 600),
+    formats: PROFILE_FORMATS.filter((f) => formats.has(f)),
+    aspect: aspect ?? null
+  };
+  for (const key of DIMENSION_FIELDS) {
+    const v = number(key, 1, 16384);
+    profile[key] = v == null ? null : Math.round(v);
+  }
+  if (profile.minWidth && profile.maxWidth && profile.minWidth > profile.maxWidth) fail("minWidth is above maxWidth.");
+  if (profile.minHeight && profile.maxHeight && profile.minHeight > profile.maxHeight) fail("minHeight is above maxHeight.");
+  return profile;
+}
+
+// Profiles from an exported file: { profiles: [...] } (what profilesToJson writes), a bare
+// array, or a single profile object.
+export function parseProfiles(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Profiles file isn't valid JSON.");
+  }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.profiles) ? data.profiles : [data];
+  const profiles = list.map(normalizeProfile);
+  const ids = new Set();
+  for (const p of profiles) {
+    if (BUILTIN_PROFILES.some((b) => b.id === p.id)) throw new Error(`Profile id "${p.id}" is a built-in profile; pick another id.`);
+    if (ids.has(p.id)) throw new Error(`Profile id "${p.id}" appears more than once.`);
+    ids.add(p.id);
+  }
+  return profiles;
+}
+
+export function profilesToJson(profiles) {
+  return `${JSON.stringify({ version: 1, profiles }, null, 2)}\n`;
+}
+
+// A built-in or custom profile by id, or null.
+export function findProfile(id, custom = []) {
+  return BUILTIN_PROFILES.find((p) => p.id === id) ?? custom.find((p) => p.id === id) ?? null;
+}
+
+export function allowsFormat(profile, format) {
+  return !profile || profile.formats.includes(format);
+}
+
+// Scale (≤ 1) that brings width × height within the limits' maxWidth × maxHeight.
+export function maxDimsScale(limits, width, height) {
+  return Math.min(1, limits?.maxWidth ? limits.maxWidth / width : 1, limits?.maxHeight ? limits.maxHeight / height : 1);
+}
+
+// What an output of `format` at width × height breaks in the profile, as short phrases
+// ("below 600×600 px"); empty when it complies. Size is checked by the fit-under search.
+export function profileIssues(profile, { width, height, format }) {
+  if (!profile) return [];
+  const issues = [];
+  if (format && !allowsFormat(profile, format)) issues.push(`.${format} not accepted`);
+  if ((profile.minWidth && width < profile.minWidth) || (profile.minHeight && height < profile.minHeight)) {
+    issues.push(`below ${profile.minWidth ?? "any"}×${profile.minHeight ?? "any"} px`);
+  }
+  if ((profile.maxWidth && width > profile.maxWidth) || (profile.maxHeight && height > profile.maxHeight)) {
+    issues.push(`above ${profile.maxWidth ?? "any"}×${profile.maxHeight ?? "any"} px`);
+  }
+  if (profile.aspect && Math.abs(width / height - profile.aspect) > profile.aspect * 0.01) {
+    issues.push(`aspect ${aspectLabel(width / height)}, needs ${aspectLabel(profile.aspect)}`);
+  }
+  return issues;
+}
+
+function aspectLabel(ratio) {
+  return ratio === 1 ? "1:1 (square)" : `${+ratio.toFixed(3)}:1`;
+}
+
+// "≤ 240 KB • JPG/JPEG • 600–1200 px • 1:1 (square)" for the profile picker and --help.
+export function describeProfile(profile) {
+  const parts = [];
+  if (profile.maxKB) parts.push(profile.maxKB >= 1024 ? `≤ ${+(profile.maxKB / 1024).toFixed(2)} MB` : `≤ ${profile.maxKB} KB`);
+  parts.push(profile.formats.map((f) => f.toUpperCase()).join("/"));
+  if (profile.dpi) parts.push(`${profile.dpi} DPI`);
+  const w = range(profile.minWidth, profile.maxWidth);
+  const h = range(profile.minHeight, profile.maxHeight);
+  if (w || h) parts.push(w === h ? `${w} px` : `${w || "any"} × ${h || "any"} px`);
+  if (profile.aspect) parts.push(aspectLabel(profile.aspect));
+  return parts.join(" • ");
+}
+
+function range(min, max) {
+  if (min && max) return min === max ? `${min}` : `${min}–${max}`;
+  if (min) return `≥ ${min}`;
+  return max ? `≤ ${max}` : "";
+}
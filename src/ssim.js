@@ -0,0 +1,64 @@
+// Structural similarity (SSIM) between a source image and its encoded copy, used as a
+// measured legibility score. Pure JS so the web app and the CLI share it.
+
+const WINDOW = 8;
+const STRIDE = 4;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+// Windows flatter than this (luma variance) in both images are skipped: blank paper would
+// otherwise pull every score towards 1 and hide damage to the text.
+const FLAT_VARIANCE = 4;
+
+function luma({ data, width, height, channels = 4 }) {
+  const out = new Float32Array(width * height);
+  if (channels < 3) {
+    for (let i = 0; i < out.length; i++) out[i] = data[i * channels];
+    return out;
+  }
+  for (let i = 0, p = 0; i < out.length; i++, p += channels) {
+    out[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return out;
+}
+
+// a, b: { data, width, height, channels? } with the same size (ImageData works as-is;
+// channels defaults to 4). Mean SSIM over 8×8 luma windows at a stride of 4, in [-1, 1];
+// identical images score 1.
+export function ssimScore(a, b) {
+  if (a.width !== b.width || a.height !== b.height) throw new Error("SSIM needs images of the same size.");
+  const { width, height } = a;
+  const x = luma(a);
+  const y = luma(b);
+  const n = WINDOW * WINDOW;
+  let total = 0;
+  let count = 0;
+  for (let top = 0; top + WINDOW <= height; top += STRIDE) {
+    for (let left = 0; left + WINDOW <= width; left += STRIDE) {
+      let sx = 0;
+      let sy = 0;
+      let sxx = 0;
+      let syy = 0;
+      let sxy = 0;
+      for (let row = top; row < top + WINDOW; row++) {
+        for (let i = row * width + left, end = i + WINDOW; i < end; i++) {
+          const u = x[i];
+          const v = y[i];
+          sx += u;
+          sy += v;
+          sxx += u * u;
+          syy += v * v;
+          sxy += u * v;
+        }
+      }
+      const mx = sx / n;
+      const my = sy / n;
+      const vx = sxx / n - mx * mx;
+      const vy = syy / n - my * my;
+      if (vx < FLAT_VARIANCE && vy < FLAT_VARIANCE && Math.abs(mx - my) < 1) continue;
+      const cov = sxy / n - mx * my;
+      total += ((2 * mx * my + C1) * (2 * cov + C2)) / ((mx * mx + my * my + C1) * (vx + vy + C2));
+      count++;
+    }
+  }
+  return count ? total / count : 1;
+}
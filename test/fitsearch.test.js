@@ -0,0 +1,180 @@
+// The fit-under search against a fake encoder, so what the web app and the CLI decide for
+// the same sizes and scores is pinned down without either real encoder.
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { QUALITY_TOLERANCE, searchQuality, searchScale } from "../src/fitsearch.js";
+
+// Variants with a size at quality 1 each; size falls linearly with quality. SSIM is the
+// quality itself unless `ssim(quality, variant)` says otherwise. Every encode is logged.
+function fakeBackend(fullSizes, { ssim, scored = true } = {}) {
+  const calls = [];
+  const variants = fullSizes.map((full, i) => ({ id: i, full }));
+  return {
+    calls,
+    variants,
+    encode: async (quality, variant) => {
+      calls.push({ quality, variant: variant.id });
+      return { size: Math.round(variant.full * quality), quality, variant: variant.id };
+    },
+    score: scored ? async (encoded) => (ssim ? ssim(encoded.quality, encoded.variant) : encoded.quality) : undefined
+  };
+}
+
+const opts = (extra) => ({ baseQuality: 0.9, minQuality: 0.5, minSsim: null, ...extra });
+
+describe("searchQuality", () => {
+  it("encodes once at base quality without a target", async () => {
+    const backend = fakeBackend([1000, 800]);
+    const res = await searchQuality(backend, opts({ targetBytes: null }));
+    assert.equal(res.pass, true);
+    assert.equal(res.quality, 0.9);
+    assert.equal(res.variant.id, 0);
+    assert.equal(res.tried, 1);
+  });
+
+  it("takes a variant that fits at base quality over lower-quality fits", async () => {
+    // Variant 0 is 900 at base and only fits under 800 lower down; variant 1 is 720 at base.
+    const backend = fakeBackend([1000, 800, 500]);
+    const res = await searchQuality(backend, opts({ targetBytes: 800 }));
+    assert.equal(res.pass, true);
+    assert.equal(res.variant.id, 1);
+    assert.equal(res.quality, 0.9);
+    // Final at once: variant 2 is never encoded.
+    assert.ok(backend.calls.every((c) => c.variant !== 2));
+  });
+
+  it("first-fit keeps the first variant that fits below base quality", async () => {
+    // Neither fits at 0.9; variant 0 fits up to 0.6, variant 1 up to 0.75.
+    const backend = fakeBackend([1000, 800]);
+    const res = await searchQuality(backend, opts({ targetBytes: 600 }));
+    assert.equal(res.pass, true);
+    assert.equal(res.variant.id, 0);
+    assert.ok(res.quality <= 0.6 && res.quality > 0.6 - QUALITY_TOLERANCE, `quality ${res.quality}`);
+    assert.ok(res.encoded.size <= 600);
+    // Variant 1 is only tried at base quality.
+    assert.deepEqual(
+      backend.calls.filter((c) => c.variant === 1).map((c) => c.quality),
+      [0.9]
+    );
+  });
+
+  it('"best" keeps the variant that fits at the highest quality', async () => {
+    const backend = fakeBackend([1000, 800]);
+    const res = await searchQuality(backend, opts({ targetBytes: 600, search: "best" }));
+    assert.equal(res.pass, true);
+    assert.equal(res.variant.id, 1);
+    assert.ok(res.quality <= 0.75 && res.quality > 0.75 - QUALITY_TOLERANCE, `quality ${res.quality}`);
+  });
+
+  it('"best" gives ties to the earlier variant', async () => {
+    const backend = fakeBackend([1000, 1000, 1000]);
+    const res = await searchQuality(backend, opts({ targetBytes: 600, search: "best" }));
+    assert.equal(res.pass, true);
+    assert.equal(res.variant.id, 0);
+  });
+
+  it("never encodes below minQuality, and returns the smallest encode when nothing fits", async () => {
+    const backend = fakeBackend([1000, 900, 950]);
+    const res = await searchQuality(backend, opts({ targetBytes: 100 }));
+    assert.equal(res.pass, false);
+    assert.ok(backend.calls.every((c) => c.quality >= 0.5));
+    // Smallest of everything encoded: variant 1 at min quality.
+    assert.equal(res.variant.id, 1);
+    assert.equal(res.quality, 0.5);
+    assert.equal(res.encoded.size, 450);
+    assert.equal(res.tried, backend.calls.length);
+  });
+
+  it("skips a fitting variant that scores below minSsim", async () => {
+    // Variant 0 would fit at base quality but scores 0.8; variant 1 scores fine.
+    const backend = fakeBackend([600, 700], { ssim: (quality, variant) => (variant === 0 ? 0.8 : 0.99) });
+    const res = await searchQuality(backend, opts({ targetBytes: 640, minSsim: 0.95 }));
+    assert.equal(res.pass, true);
+    assert.equal(res.variant.id, 1);
+    assert.equal(res.ssim, 0.99);
+  });
+
+  it("raises the best-clarity fallback to the lowest quality that meets minSsim", async () => {
+    // Nothing fits; the smallest encode (0.5) scores under 0.7, so the fallback moves up.
+    const backend = fakeBackend([1000]);
+    const res = await searchQuality(backend, opts({ targetBytes: 100, minSsim: 0.7 }));
+    assert.equal(res.pass, false);
+    assert.ok(res.ssim >= 0.7);
+    assert.ok(res.quality >= 0.7 && res.quality < 0.7 + QUALITY_TOLERANCE, `quality ${res.quality}`);
+  });
+
+  it("ignores minSsim when the backend can't score", async () => {
+    const backend = fakeBackend([600], { scored: false });
+    const res = await searchQuality(backend, opts({ targetBytes: 600, minSsim: 0.99 }));
+    assert.equal(res.pass, true);
+    assert.equal(res.ssim, null);
+  });
+});
+
+describe("searchScale", () => {
+  // fitAt that passes from `passAt` down and logs the scales tried.
+  const fitter = (passAt) => {
+    const scales = [];
+    const fitAt = async (scale) => {
+      scales.push(scale);
+      return { scale, pass: scale <= passAt, tried: 2 };
+    };
+    return { scales, fitAt };
+  };
+
+  it("starts at the square root of the overshoot and steps down 10%", async () => {
+    const { scales, fitAt } = fitter(0.45);
+    const { result, tried } = await searchScale(fitAt, {
+      width: 4000,
+      height: 3000,
+      targetBytes: 250,
+      fullBytes: 1000,
+      minScale: 0
+    });
+    assert.equal(scales[0], 0.5);
+    assert.ok(Math.abs(scales[1] - 0.45) < 1e-9);
+    assert.equal(result.scale, scales[1]);
+    assert.equal(tried, 4);
+  });
+
+  it("starts no higher than 0.9", async () => {
+    const { scales, fitAt } = fitter(1);
+    await searchScale(fitAt, { width: 1000, height: 1000, targetBytes: 990, fullBytes: 1000, minScale: 0 });
+    assert.deepEqual(scales, [0.9]);
+  });
+
+  it("stops at the caller's floor and returns null when even that fails", async () => {
+    const { scales, fitAt } = fitter(0);
+    const { result } = await searchScale(fitAt, {
+      width: 4000,
+      height: 3000,
+      targetBytes: 500,
+      fullBytes: 1000,
+      minScale: 0.6
+    });
+    assert.equal(result, null);
+    assert.equal(scales.at(-1), 0.6);
+    assert.ok(scales.every((s) => s >= 0.6));
+  });
+
+  it("never goes below a 64px long edge", async () => {
+    const { scales, fitAt } = fitter(0);
+    const { result } = await searchScale(fitAt, {
+      width: 320,
+      height: 200,
+      targetBytes: 1,
+      fullBytes: 1000,
+      minScale: 0
+    });
+    assert.equal(result, null);
+    assert.equal(scales.length, 1);
+    assert.equal(scales[0], 64 / 320);
+  });
+
+  it("does nothing when the floor is the full size", async () => {
+    const { scales, fitAt } = fitter(0);
+    const { result } = await searchScale(fitAt, { width: 50, height: 40, targetBytes: 1, fullBytes: 1000, minScale: 0 });
+    assert.equal(result, null);
+    assert.deepEqual(scales, []);
+  });
+});
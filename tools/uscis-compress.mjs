@@ -1,9 +1,34 @@
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
 import fs from "node:fs/promises";
+import { createRequire } from "node:module";
+import os from "node:os";
 import path from "node:path";
 import process from "node:process";
 import sharp from "sharp";
+import { METADATA_MODES, exifSegment, insertJpegSegment, parseExif } from "../src/exif.js";
+import { JPEG_VARIANTS, searchQuality, searchScale } from "../src/fitsearch.js";
+import { decodeHeic, isHeic } from "../src/heic.js";
+import {
+  BUILTIN_PROFILES,
+  allowsFormat,
+  describeProfile,
+  findProfile,
+  maxDimsScale,
+  parseProfiles,
+  profileIssues
+} from "../src/profiles.js";
+import { ssimScore } from "../src/ssim.js";
 
 const SIX_MB = 6 * 1024 * 1024;
+// Same gutter as the web app's default ("small") combined layout.
+const COMBINED_SPACING = 20;
+// JPEG's hard limit on either dimension.
+const MAX_JPEG_DIM = 65535;
+// --watch: a file is picked up once its size and mtime hold still this long.
+const WATCH_SETTLE_MS = 1000;
+// --watch: content hashes of processed inputs, kept in the out dir.
+const WATCH_MANIFEST = ".uscis-compress-watch.json";
 
 function die(msg, code = 1) {
   console.error(msg);
@@ -12,7 +37,7 @@ function die(msg, code = 1) {
 
 function printHelp() {
   console.log(`
-USCIS JPG/JPEG Smart Compressor (preserve resolution)
+USCIS Smart JPEG Compressor (preserve resolution) for images and PDF pages
 
 Usage:
   node tools/uscis-compress.mjs [options] <fileOrDir...>
@@ -22,21 +47,68 @@ Options:
   --quality <0.1..1.0>       JPEG quality target (default: 0.85)
   --max-size <size>          Target max output size (e.g. 6mb, 600kb, 5000000)
   --fit-under <size>         Alias for --max-size (recommended: 600kb for USCIS-style limits)
-  --preserve-resolution      Keep pixel dimensions (default: on; tool never resizes)
+  --profile <id>             Document profile (see below): its size limit, min quality,
+                             DPI and max dimensions become the defaults (explicit flags
+                             win), and outputs breaking its dimension rules are marked
+                             [FAIL profile]
+  --profiles <file.json>     Custom profiles, as exported by the web app, for --profile
+  --preserve-resolution      Keep pixel dimensions (default: on)
+  --allow-downscale          If quality alone can't meet the target, step down pixel
+                             dimensions until it fits (turns off --preserve-resolution)
+  --min-long-edge <px>       Downscale floor for the longest side (default: 1600)
+  --min-dpi <n>              Downscale floor in DPI, for inputs that record their DPI
   --subsample <4:4:4|4:2:0>  Chroma subsampling (default: 4:4:4 for text)
   --progressive              Write progressive JPEG (default: off)
-  --strip-metadata           Strip metadata (default: on)
+  --metadata <strip|safe|all>
+                             EXIF in the output: none, only camera/date/DPI, or all of
+                             it including GPS location (default: strip). "all" also
+                             keeps the colour profile (ICC); otherwise colours are
+                             converted to sRGB. Photos are turned upright from their
+                             EXIF orientation either way.
+                             --strip-metadata / --keep-metadata mean strip / all
   --min-quality <0.1..1.0>   Safeguard against aggressive artifacts (default: 0.55)
+  --min-ssim <0.5..1.0>      Measured safeguard: an encode only counts as fitting if its
+                             SSIM against the source is at least this (default: off).
+                             Lower --min-quality to let it decide
   --out-dir <dir>            Output directory (default: out)
   --suffix <text>            Output suffix before extension (default: -uscis)
   --overwrite                Overwrite output files (default: off)
   --recursive                If inputs are directories, scan recursively
+  --dpi <72..600>            PDF inputs: render resolution (default: 144)
+  --mode <individual|combined>
+                             PDF inputs: one JPG per page, or all pages stacked into
+                             one JPG (default: individual)
+  --report <json|csv>        Machine-readable report, one record per output (default:
+                             none). Without --report-file it goes to stdout and the
+                             progress lines move to stderr
+  --report-file <path>       Write the report to a file (format from --report, else
+                             from the extension)
+  --search <first-fit|best>  Target search: take the first variant that fits, or try
+                             every variant and keep the one that fits at the highest
+                             quality (default: first-fit)
+  --concurrency <n>          Files/pages compressed at once (default: CPU count).
+                             Log lines and report records keep input order
+  --watch                    Keep running: compress files as they appear or change in
+                             the input directories (subfolders too with --recursive).
+                             Unchanged content is skipped by hash, not by output name
   --help                     Show help
 
 Notes:
-  - Inputs must be .jpg/.jpeg (this is a JPEG compressor, not a converter).
+  - Inputs: .jpg/.jpeg, .png, .webp, .tif/.tiff, .gif, .heic/.heif or .pdf; every output
+    is a JPEG. Transparency is flattened onto white, GIFs use their first frame, HEIC
+    its primary image, and multi-page TIFFs give one JPG per page
+    (<name>-page2<suffix>.jpg).
+  - PDF pages are rasterized and then compressed like any other input; outputs are named
+    like the web app's (<name>-page3.jpg, <name>-combined.jpg) and --suffix is not
+    applied to them.
   - Deterministic output: same input + flags => same output (best effort).
-  - USCIS commonly rejects files > 6MB; this tool warns when outputs exceed that.
+  - USCIS commonly rejects files > 6MB; without --profile this tool warns when outputs
+    exceed that.
+
+Built-in profiles:
+${BUILTIN_PROFILES.filter((p) => allowsFormat(p, "jpg"))
+  .map((p) => `  ${p.id.padEnd(25)}${describeProfile(p)}`)
+  .join("\n")}
 `.trim());
 }
 
@@ -47,17 +119,31 @@ function parseArgs(argv) {
     maxSize: null,
     fitUnder: null,
     preserveResolution: true,
+    minLongEdge: 1600,
+    minDpi: null,
     subsample: "4:4:4",
     progressive: false,
-    stripMetadata: true,
+    metadata: "strip",
     minQuality: 0.55,
+    minSsim: null,
     outDir: "out",
     suffix: "-uscis",
     overwrite: false,
     recursive: false,
+    dpi: 144,
+    mode: "individual",
+    report: null,
+    reportFile: null,
+    search: "first-fit",
+    profile: null,
+    profilesFile: null,
+    watch: false,
+    concurrency: os.availableParallelism?.() ?? os.cpus().length,
     inputs: []
   };
 
+  // Flags given explicitly, which a --profile doesn't override.
+  const given = new Set();
   const it = argv[Symbol.iterator]();
   for (let cur = it.next(); !cur.done; cur = it.next()) {
     const a = cur.value;
@@ -72,6 +158,7 @@ function parseArgs(argv) {
       if (n.done) die(`Missing value for ${k}`);
       return n.value;
     };
+    given.add(k);
 
     switch (k) {
       case "--help":
@@ -95,21 +182,36 @@ function parseArgs(argv) {
       case "--preserve-resolution":
         args.preserveResolution = true;
         break;
+      case "--allow-downscale":
+        args.preserveResolution = false;
+        break;
+      case "--min-long-edge":
+        args.minLongEdge = Number(nextVal());
+        break;
+      case "--min-dpi":
+        args.minDpi = Number(nextVal());
+        break;
       case "--subsample":
         args.subsample = nextVal();
         break;
       case "--progressive":
         args.progressive = true;
         break;
+      case "--metadata":
+        args.metadata = nextVal();
+        break;
       case "--strip-metadata":
-        args.stripMetadata = true;
+        args.metadata = "strip";
         break;
       case "--keep-metadata":
-        args.stripMetadata = false;
+        args.metadata = "all";
         break;
       case "--min-quality":
         args.minQuality = Number(nextVal());
         break;
+      case "--min-ssim":
+        args.minSsim = Number(nextVal());
+        break;
       case "--out-dir":
         args.outDir = nextVal();
         break;
@@ -122,19 +224,80 @@ function parseArgs(argv) {
       case "--recursive":
         args.recursive = true;
         break;
+      case "--dpi":
+        args.dpi = Number(nextVal());
+        break;
+      case "--mode":
+        args.mode = nextVal();
+        break;
+      case "--report":
+        args.report = nextVal();
+        break;
+      case "--report-file":
+        args.reportFile = nextVal();
+        break;
+      case "--search":
+        args.search = nextVal();
+        break;
+      case "--profile":
+        args.profile = nextVal();
+        break;
+      case "--profiles":
+        args.profilesFile = nextVal();
+        break;
+      case "--watch":
+        args.watch = true;
+        break;
+      case "--concurrency":
+        args.concurrency = Number(nextVal());
+        break;
       default:
         die(`Unknown option: ${k}\nRun with --help`);
     }
   }
 
+  if (args.profile) applyProfile(args, given);
   args.quality = clamp01(args.quality);
   args.minQuality = clamp01(args.minQuality);
+  if (args.minSsim != null && !(args.minSsim >= 0.5 && args.minSsim <= 1)) die(`Invalid --min-ssim (must be 0.5..1.0)`);
   args.subsample = normalizeSubsample(args.subsample);
+  if (!METADATA_MODES.includes(args.metadata)) die(`Invalid --metadata "${args.metadata}" (use strip, safe or all)`);
+  if (!Number.isFinite(args.minLongEdge) || args.minLongEdge < 1) die(`Invalid --min-long-edge (must be pixels > 0)`);
+  if (args.minDpi != null && !(args.minDpi > 0)) die(`Invalid --min-dpi (must be a number > 0)`);
+  if (!(args.dpi >= 72 && args.dpi <= 600)) die(`Invalid --dpi (must be 72..600)`);
+  if (args.mode !== "individual" && args.mode !== "combined") die(`Invalid --mode "${args.mode}" (use individual or combined)`);
+  if (args.reportFile && !args.report) args.report = path.extname(args.reportFile).toLowerCase() === ".csv" ? "csv" : "json";
+  if (args.search !== "first-fit" && args.search !== "best") die(`Invalid --search "${args.search}" (use first-fit or best)`);
+  if (!(Number.isInteger(args.concurrency) && args.concurrency >= 1)) die(`Invalid --concurrency (must be an integer >= 1)`);
+  if (args.watch && args.report) die("--report can't be combined with --watch (the run never finishes).");
+  if (args.report && args.report !== "json" && args.report !== "csv") die(`Invalid --report "${args.report}" (use json or csv)`);
   const size = args.fitUnder ?? args.maxSize;
-  args.maxSizeBytes = size ? parseSizeToBytes(size) : null;
+  args.maxSizeBytes = size ? parseSizeToBytes(size) : args.profile?.maxKB ? args.profile.maxKB * 1024 : null;
   return args;
 }
 
+// Replaces args.profile (an id) with the profile from src/profiles.js or --profiles, and
+// takes its settings for the flags not given explicitly.
+function applyProfile(args, given) {
+  let custom = [];
+  if (args.profilesFile) {
+    try {
+      custom = parseProfiles(readFileSync(args.profilesFile, "utf8"));
+    } catch (e) {
+      die(`Invalid --profiles "${args.profilesFile}": ${e?.message || e}`);
+    }
+  }
+  const profile = findProfile(args.profile, custom);
+  if (!profile) {
+    const ids = [...BUILTIN_PROFILES, ...custom].map((p) => p.id).join(", ");
+    die(`Unknown --profile "${args.profile}" (available: ${ids})`);
+  }
+  if (!allowsFormat(profile, "jpg")) die(`Profile "${profile.name}" doesn't accept JPEG, the only output of this tool.`);
+  args.profile = profile;
+  if (!given.has("--min-quality")) args.minQuality = profile.minQuality;
+  if (!given.has("--dpi") && profile.dpi) args.dpi = profile.dpi;
+}
+
 function clamp01(x) {
   if (!Number.isFinite(x)) die(`Invalid --quality (must be number 0.1..1.0)`);
   return Math.max(0.1, Math.min(1.0, x));
@@ -158,9 +321,18 @@ function parseSizeToBytes(s) {
   return Math.floor(n * mult);
 }
 
-function isJpegFile(p) {
-  const ext = path.extname(p).toLowerCase();
-  return ext === ".jpg" || ext === ".jpeg";
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".tif", ".tiff", ".gif"];
+
+function isImageFile(p) {
+  return IMAGE_EXTENSIONS.includes(path.extname(p).toLowerCase()) || isHeic(p);
+}
+
+function isPdfFile(p) {
+  return path.extname(p).toLowerCase() === ".pdf";
+}
+
+function isSupportedFile(p) {
+  return isImageFile(p) || isPdfFile(p);
 }
 
 async function listInputs(inputs, recursive) {
@@ -174,7 +346,7 @@ async function listInputs(inputs, recursive) {
       die(`Input not found: ${input}`);
     }
     if (st.isFile()) {
-      if (!isJpegFile(abs)) die(`Unsupported file (only .jpg/.jpeg): ${input}`);
+      if (!isSupportedFile(abs)) die(`Unsupported file (${[...IMAGE_EXTENSIONS, ".pdf"].join("/")}): ${input}`);
       out.push(abs);
       continue;
     }
@@ -194,11 +366,14 @@ async function scanDir(dir, recursive) {
       if (recursive) out.push(...(await scanDir(full, recursive)));
       continue;
     }
-    if (e.isFile() && isJpegFile(full)) out.push(full);
+    if (e.isFile() && isSupportedFile(full)) out.push(full);
   }
   return out;
 }
 
+// Progress lines for people. They move to stderr when the report is written to stdout.
+let info = (line) => console.log(line);
+
 function human(bytes) {
   const mb = bytes / (1024 * 1024);
   if (mb >= 1) return `${mb.toFixed(mb >= 10 ? 0 : 2)}MB`;
@@ -210,9 +385,17 @@ async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
 }
 
-function outputPathFor(inputPath, outDir, suffix) {
+function outputPathFor(inputPath, outDir, suffix, pageNumber) {
+  const base = path.basename(inputPath, path.extname(inputPath));
+  const page = pageNumber ? `-page${pageNumber}` : "";
+  return path.join(outDir, `${base}${page}${suffix}.jpg`);
+}
+
+// Mirrors pickSafeBaseName() in the web app so PDF outputs get the same names there and here.
+function safeBaseName(inputPath) {
   const base = path.basename(inputPath, path.extname(inputPath));
-  return path.join(outDir, `${base}${suffix}.jpg`);
+  const safe = base.replace(/[^\w\-]+/g, "_").replace(/^_+|_+$/g, "");
+  return safe || "document";
 }
 
 function jpegOpts(args, quality01) {
@@ -225,90 +408,620 @@ function jpegOpts(args, quality01) {
   };
 }
 
-async function encodeAtQuality(inputPath, args, quality01, overrides) {
-  let img = sharp(inputPath, { failOn: "error" });
-  // Default: strip metadata by not calling withMetadata().
-  const stripMetadata = overrides?.stripMetadata ?? args.stripMetadata;
+// A source is { input, options?, density? }: a file path (with sharp's { page } option for
+// one page of a multi-page TIFF), or raw pixels with { raw: { width, height, channels } }
+// (rendered PDF pages). `density` overrides the DPI read from the file.
+function fileSource(inputPath, page) {
+  return page ? { input: inputPath, options: { page } } : { input: inputPath };
+}
+
+// Upright from the EXIF orientation (a no-op for rendered pages), like the web app. Pixels
+// are converted to sRGB from an embedded colour profile, unless `keepIcc` is set (--metadata
+// all, which writes the profile back into the output).
+function openSource(source) {
+  const img = sharp(source.input, { failOn: "error", ...source.options }).rotate();
+  return source.keepIcc ? img.keepIccProfile() : img;
+}
+
+// ICC_PROFILE identifier of the APP2 segments that carry a colour profile.
+const ICC_HEADER = Buffer.from("ICC_PROFILE\0", "latin1");
+const ICC_CHUNK = 0xffff - 2 - ICC_HEADER.length - 2;
+
+// An ICC profile as JPEG APP2 segments (numbered chunks, as the ICC spec splits large ones).
+function iccSegments(icc) {
+  const count = Math.ceil(icc.length / ICC_CHUNK);
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    const chunk = icc.subarray(i * ICC_CHUNK, (i + 1) * ICC_CHUNK);
+    const length = 2 + ICC_HEADER.length + 2 + chunk.length;
+    segments.push(Buffer.from([0xff, 0xe2, length >> 8, length & 0xff]), ICC_HEADER, Buffer.from([i + 1, count]), chunk);
+  }
+  return Buffer.concat(segments);
+}
+
+// Decoded (and white-flattened) pixels, optionally resized. The target search decodes each
+// input once and re-encodes these, instead of decoding the file for every attempt.
+async function decodeSource(source, resize) {
+  let img = openSource(source).flatten({ background: "#ffffff" });
+  if (resize) img = img.resize({ ...resize, fit: "fill", kernel: "lanczos3" });
+  const { data, info } = await img.raw().toBuffer({ resolveWithObject: true });
+  return {
+    input: data,
+    options: { raw: { width: info.width, height: info.height, channels: info.channels } },
+    density: source.density
+  };
+}
+
+// SSIM of an encoded JPEG against the decoded pixels (a decodeSource() result) it came from.
+async function scoreJpeg(buf, pixels) {
+  const { data, info } = await sharp(buf).raw().toBuffer({ resolveWithObject: true });
+  return ssimScore({ data: pixels.input, ...pixels.options.raw }, { data, ...info });
+}
+
+// Encodes never carry metadata; compressWithTarget() adds the --metadata EXIF afterwards.
+async function encodeAtQuality(source, args, quality01, overrides) {
+  // JPEG has no alpha: transparent areas become white, as in the web app.
+  const img = openSource(source).flatten({ background: "#ffffff" });
   const progressive = overrides?.progressive ?? args.progressive;
   const subsample = overrides?.subsample ?? args.subsample;
-  if (!stripMetadata) img = img.withMetadata();
-  const buf = await img.jpeg(jpegOpts({ ...args, progressive, subsample }, quality01)).toBuffer();
-  return buf;
+  return await img.jpeg(jpegOpts({ ...args, progressive, subsample }, quality01)).toBuffer();
 }
 
-async function compressWithTarget(inputPath, args) {
-  const target = args.maxSizeBytes;
+// Label of the metadata written, for the log line and report.
+const METADATA_LABELS = { strip: "stripped", safe: "safe", all: "kept" };
+
+async function compressWithTarget(source, args) {
+  const meta = await openSource(source).metadata();
+  if (source.density) meta.density = source.density;
+  // metadata() describes the stored image; openSource() turns 90° orientations upright.
+  if ((meta.orientation ?? 1) >= 5) [meta.width, meta.height] = [meta.height, meta.width];
+  // The EXIF kept per --metadata (src/exif.js, as in the web app) counts against the target.
+  // "all" keeps the colour profile too (untouched wide-gamut pixels plus their profile),
+  // which the web app can't: browsers convert to sRGB when drawing the image.
+  const exif = exifSegment(meta.exif ? parseExif(meta.exif.subarray(6)) : null, args.metadata);
+  const icc = args.metadata === "all" && meta.icc ? iccSegments(meta.icc) : null;
+  if (icc) source = { ...source, keepIcc: true };
+  const segment = exif || icc ? Buffer.concat([exif, icc].filter(Boolean)) : null;
+  // A --profile's max dimensions are a hard limit, so shrink before the size search (as the
+  // web app does); scales below stay relative to the original.
+  const fit = maxDimsScale(args.profile, meta.width, meta.height);
+  if (fit < 1) {
+    const resize = { width: Math.max(1, Math.round(meta.width * fit)), height: Math.max(1, Math.round(meta.height * fit)) };
+    source = { ...(await decodeSource(source, resize)), density: meta.density && meta.density * fit };
+    Object.assign(meta, resize, { density: source.density });
+  }
+  const withExif = (res) => ({
+    ...res,
+    buf: segment ? Buffer.from(insertJpegSegment(res.buf, segment)) : res.buf,
+    metadata: METADATA_LABELS[segment ? args.metadata : "strip"],
+    scale: res.scale * fit
+  });
+  const dims = { width: meta.width, height: meta.height, scale: 1 };
+  const target = args.maxSizeBytes && Math.max(1, args.maxSizeBytes - (segment?.length ?? 0));
   if (!target) {
-    const buf = await encodeAtQuality(inputPath, args, args.quality);
-    return {
+    const buf = await encodeAtQuality(source, args, args.quality);
+    return withExif({
       buf,
       usedQuality: args.quality,
-      used: { subsample: args.subsample, progressive: args.progressive, stripMetadata: args.stripMetadata },
-      pass: true
-    };
+      ssim: await scoreJpeg(buf, await decodeSource(source)),
+      used: { subsample: args.subsample, progressive: args.progressive },
+      pass: true,
+      ...dims
+    });
+  }
+
+  const pixels = await decodeSource(source);
+  const fullRes = await searchVariants(pixels, args, target, null);
+  if (fullRes.pass || args.preserveResolution) return withExif({ ...fullRes, ...dims });
+  return withExif(await searchDownscaled(pixels, args, target, meta, fullRes));
+}
+
+// --allow-downscale: quality alone failed, so step the pixel dimensions down (never below
+// --min-long-edge / --min-dpi) and rerun the variant search at each size (see searchScale).
+// If the floor still fails, the full-resolution best-clarity result is kept.
+async function searchDownscaled(pixels, args, target, meta, fullRes) {
+  const longEdge = Math.max(meta.width, meta.height);
+  const dpiFloor = args.minDpi && meta.density ? args.minDpi / meta.density : 0;
+  const { result } = await searchScale(
+    async (scale) => {
+      const resize = {
+        width: Math.max(1, Math.round(meta.width * scale)),
+        height: Math.max(1, Math.round(meta.height * scale))
+      };
+      return { ...(await searchVariants(pixels, args, target, resize)), ...resize, scale };
+    },
+    {
+      width: meta.width,
+      height: meta.height,
+      targetBytes: target,
+      fullBytes: fullRes.buf.length,
+      minScale: Math.max(args.minLongEdge / longEdge, dpiFloor)
+    }
+  );
+  return result ?? { ...fullRes, width: meta.width, height: meta.height, scale: 1 };
+}
+
+// The shared fit-under search (src/fitsearch.js) with sharp/mozjpeg as the encoder.
+async function searchVariants(pixels, args, target, resize) {
+  const input = resize ? await decodeSource(pixels, resize) : pixels;
+  const backend = {
+    // Deterministic search order (best clarity first), shared with the web app.
+    variants: JPEG_VARIANTS,
+    encode: async (quality, variant) => {
+      const buf = await encodeAtQuality(input, args, quality, variant);
+      return { buf, size: buf.length };
+    },
+    score: ({ buf }) => scoreJpeg(buf, input)
+  };
+  const res = await searchQuality(backend, {
+    targetBytes: target,
+    baseQuality: clamp01(args.quality),
+    minQuality: clamp01(args.minQuality),
+    minSsim: args.minSsim,
+    search: args.search
+  });
+  return { buf: res.encoded.buf, usedQuality: res.quality, used: res.variant, ssim: res.ssim, pass: res.pass };
+}
+
+let _pdfjs = null;
+
+// pdf.js (legacy build, for Node) is only loaded once a PDF shows up.
+async function openPdf(inputPath) {
+  if (!_pdfjs) _pdfjs = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const root = path.dirname(createRequire(import.meta.url).resolve("pdfjs-dist/package.json"));
+  return await _pdfjs.getDocument({
+    data: new Uint8Array(await fs.readFile(inputPath)),
+    standardFontDataUrl: path.join(root, "standard_fonts") + path.sep,
+    cMapUrl: path.join(root, "cmaps") + path.sep,
+    cMapPacked: true,
+    verbosity: _pdfjs.VerbosityLevel.ERRORS
+  }).promise;
+}
+
+// Raw RGBA pixels of one page at `dpi` (pdf.js paints the white page background).
+async function renderPdfPage(pdfDoc, pageNumber, dpi) {
+  const page = await pdfDoc.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: dpi / 72 });
+  const { canvas, context } = pdfDoc.canvasFactory.create(Math.floor(viewport.width), Math.floor(viewport.height));
+  try {
+    await page.render({ canvasContext: context, viewport }).promise;
+    const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+    return { data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), width, height };
+  } finally {
+    pdfDoc.canvasFactory.destroy({ canvas, context });
+    page.cleanup();
+  }
+}
+
+function rawSource(pixels, dpi) {
+  return {
+    input: pixels.data,
+    options: { raw: { width: pixels.width, height: pixels.height, channels: 4 } },
+    density: dpi
+  };
+}
+
+// Pages stacked vertically with a white gutter, like the web app's default combined layout.
+async function stackPages(pages) {
+  const width = Math.max(...pages.map((p) => p.width));
+  const height = pages.reduce((sum, p) => sum + p.height, 0) + COMBINED_SPACING * (pages.length - 1);
+  if (width > MAX_JPEG_DIM || height > MAX_JPEG_DIM) {
+    throw new Error(
+      `Combined image would be ${width}x${height} (JPEG max ${MAX_JPEG_DIM}px). Use a lower --dpi or --mode individual.`
+    );
+  }
+  let top = 0;
+  const layers = pages.map((p) => {
+    const layer = { input: p.data, raw: { width: p.width, height: p.height, channels: 4 }, left: 0, top };
+    top += p.height + COMBINED_SPACING;
+    return layer;
+  });
+  const data = await sharp({ create: { width, height, channels: 4, background: "#ffffff" } })
+    .composite(layers)
+    .raw()
+    .toBuffer();
+  return { data, width, height };
+}
+
+// One job per output file: { label, input, page (or null), format (of the source), outPath,
+// before (input bytes, or null), load() -> source }.
+function pdfJobs(inputPath, pdfDoc, outDir, args) {
+  const base = safeBaseName(inputPath);
+  const name = path.basename(inputPath);
+  const pageNumbers = Array.from({ length: pdfDoc.numPages }, (_, i) => i + 1);
+  if (args.mode === "combined") {
+    return [
+      {
+        label: `${name} (${pageNumbers.length} page${pageNumbers.length === 1 ? "" : "s"} combined)`,
+        input: inputPath,
+        page: null,
+        format: "pdf",
+        outPath: path.join(outDir, `${base}-combined.jpg`),
+        before: null,
+        load: async () => {
+          const pages = [];
+          for (const n of pageNumbers) pages.push(await renderPdfPage(pdfDoc, n, args.dpi));
+          return rawSource(await stackPages(pages), args.dpi);
+        }
+      }
+    ];
+  }
+  return pageNumbers.map((n) => ({
+    label: `${name} page ${n}`,
+    input: inputPath,
+    page: n,
+    format: "pdf",
+    outPath: path.join(outDir, `${base}-page${n}.jpg`),
+    before: null,
+    load: async () => rawSource(await renderPdfPage(pdfDoc, n, args.dpi), args.dpi)
+  }));
+}
+
+// Image files are one job, except multi-page TIFFs: one job per page.
+async function imageJobs(inputPath, outDir, args) {
+  if (isHeic(inputPath)) {
+    // sharp can't decode HEIC; libheif's decoded pixels go through as a raw source.
+    return [
+      {
+        label: path.basename(inputPath),
+        input: inputPath,
+        page: null,
+        format: "heic",
+        outPath: outputPathFor(inputPath, outDir, args.suffix),
+        before: (await fs.stat(inputPath)).size,
+        load: async () => {
+          const { data, width, height } = await decodeHeic(await fs.readFile(inputPath));
+          return rawSource({ data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), width, height });
+        }
+      }
+    ];
+  }
+  const meta = await sharp(inputPath).metadata();
+  const name = path.basename(inputPath);
+  const pages = meta.format === "tiff" && meta.pages > 1 ? meta.pages : 1;
+  if (pages === 1) {
+    return [
+      {
+        label: name,
+        input: inputPath,
+        page: null,
+        format: meta.format,
+        outPath: outputPathFor(inputPath, outDir, args.suffix),
+        before: (await fs.stat(inputPath)).size,
+        load: async () => fileSource(inputPath)
+      }
+    ];
   }
+  return Array.from({ length: pages }, (_, i) => ({
+    label: `${name} page ${i + 1}`,
+    input: inputPath,
+    page: i + 1,
+    format: meta.format,
+    outPath: outputPathFor(inputPath, outDir, args.suffix, i + 1),
+    before: null,
+    load: async () => fileSource(inputPath, i)
+  }));
+}
+
+// Report record for one output; fields that don't apply stay null.
+function newRecord(job) {
+  return {
+    input: job.input,
+    page: job.page,
+    output: job.outPath,
+    format: job.format,
+    status: "fail", // ok | skip | fail
+    beforeBytes: job.before,
+    afterBytes: null,
+    width: null,
+    height: null,
+    scale: null,
+    quality: null,
+    ssim: null,
+    subsample: null,
+    progressive: null,
+    metadata: null,
+    pass: null,
+    issues: null, // broken --profile dimension rules
+    skipReason: null,
+    error: null
+  };
+}
+
+// Stand-in job for an input that failed before any job could be made (unreadable image,
+// broken PDF), so the failure is logged and reported in its place.
+function failedInputJob(inputPath, error) {
+  return { label: path.basename(inputPath), input: inputPath, page: null, format: null, outPath: null, before: null, error };
+}
 
-  // Deterministic search order (best clarity first):
-  // 1) 4:4:4, baseline
-  // 2) progressive on
-  // 3) 4:2:0 subsampling
-  // 4) progressive + 4:2:0
-  const variants = [
-    { subsample: "4:4:4", progressive: false, stripMetadata: true },
-    { subsample: "4:4:4", progressive: true, stripMetadata: true },
-    { subsample: "4:2:0", progressive: false, stripMetadata: true },
-    { subsample: "4:2:0", progressive: true, stripMetadata: true }
-  ];
-
-  const baseQ = clamp01(args.quality);
-  const minQ = clamp01(args.minQuality);
-
-  let bestFit = null; // {buf, q, used}
-  let bestClarity = null; // smallest file at baseQ across variants
-
-  for (const v of variants) {
-    // Try at base quality first
-    const atBase = await encodeAtQuality(inputPath, args, baseQ, v);
-    if (!bestClarity || atBase.length < bestClarity.buf.length) bestClarity = { buf: atBase, q: baseQ, used: v };
-    if (atBase.length <= target) {
-      // We can fit at baseQ; that's the best clarity for this variant.
-      if (!bestFit) bestFit = { buf: atBase, q: baseQ, used: v };
-      // Prefer earlier variants deterministically.
-      return { buf: atBase, usedQuality: baseQ, used: v, pass: true };
+// Resolves to the job's report record and its log lines ([stream, line]) instead of printing
+// them, so concurrent jobs can be logged in order; problems never throw.
+async function runJob(job, args) {
+  const record = newRecord(job);
+  const log = [];
+  try {
+    if (job.error) throw job.error;
+    if (!args.overwrite) {
+      try {
+        await fs.stat(job.outPath);
+        log.push(["out", `[skip] ${path.basename(job.outPath)} (exists)`]);
+        return { record: { ...record, status: "skip", skipReason: "exists" }, log };
+      } catch {
+        // not exists
+      }
     }
 
-    // If even minQ can't fit, track and continue.
-    const atMin = await encodeAtQuality(inputPath, args, minQ, v);
-    if (atMin.length > target) continue;
-
-    // Binary search highest q that fits for this variant.
-    let lo = minQ;
-    let hi = baseQ;
-    let best = atMin;
-    let bestQ = minQ;
-    for (let i = 0; i < 10 && hi - lo > 0.015; i++) {
-      const mid = (lo + hi) / 2;
-      const b = await encodeAtQuality(inputPath, args, mid, v);
-      if (b.length <= target) {
-        best = b;
-        bestQ = mid;
-        lo = mid;
-      } else {
-        hi = mid;
+    const source = await job.load();
+    const { buf, usedQuality, used, metadata, ssim, pass, width, height, scale } = await compressWithTarget(source, args);
+    const after = buf.length;
+    await fs.writeFile(job.outPath, buf);
+
+    // Converted inputs (small PNG/GIF) can grow, so the change carries its own sign.
+    const change = job.before > 0 ? Math.round((after / job.before - 1) * 100) : 0;
+    const sizes =
+      job.before != null
+        ? `${human(job.before)} → ${human(after)}  (${change > 0 ? "+" : "-"}${Math.abs(change)}%)`
+        : `→ ${human(after)}`;
+    const warn6mb = !args.profile && after > SIX_MB ? "  [WARN >6MB]" : "";
+    const warnTarget = args.maxSizeBytes && after > args.maxSizeBytes ? "  [FAIL target]" : "";
+    const issues = profileIssues(args.profile, { width, height });
+    const warnProfile = issues.length ? `  [FAIL profile: ${issues.join("; ")}]` : "";
+    const usedFlags = used
+      ? ` subsample=${used.subsample} progressive=${used.progressive ? "on" : "off"} metadata=${metadata}`
+      : "";
+    log.push([
+      "out",
+      `[ok] ${job.label}  ${sizes}  q=${usedQuality.toFixed(2)} ssim=${ssim.toFixed(3)}${
+        pass ? "" : "  [BEST-CLARITY]"
+      }${warn6mb}${warnTarget}${warnProfile}${usedFlags} dims=${width}x${height}${scale < 1 ? ` scale=${scale.toFixed(2)}` : ""} src=${job.format}`
+    ]);
+    const done = {
+      ...record,
+      status: "ok",
+      afterBytes: after,
+      width,
+      height,
+      scale: Math.round(scale * 10000) / 10000,
+      quality: Math.round(usedQuality * 100) / 100,
+      ssim: Math.round(ssim * 10000) / 10000,
+      subsample: used?.subsample ?? null,
+      progressive: used?.progressive ?? null,
+      metadata,
+      pass: pass && !(args.maxSizeBytes && after > args.maxSizeBytes) && !issues.length,
+      issues: issues.length ? issues.join("; ") : null
+    };
+    return { record: done, log };
+  } catch (e) {
+    const message = e?.message ? e.message : String(e);
+    log.push(["err", `[fail] ${job.label}: ${message}`]);
+    return { record: { ...record, error: message }, log };
+  } finally {
+    job.done?.();
+  }
+}
+
+// Every job, in input order. Inputs are opened only as the pool reaches them; a PDF stays
+// open until the last of its pages has finished.
+async function* allJobs(inputs, outDir, args) {
+  for (const inputPath of inputs) {
+    if (!isPdfFile(inputPath)) {
+      try {
+        yield* await imageJobs(inputPath, outDir, args);
+      } catch (e) {
+        yield failedInputJob(inputPath, e);
       }
+      continue;
+    }
+
+    let pdfDoc;
+    try {
+      pdfDoc = await openPdf(inputPath);
+    } catch (e) {
+      yield failedInputJob(inputPath, e);
+      continue;
     }
-    if (!bestFit) bestFit = { buf: best, q: bestQ, used: v };
+    const jobs = pdfJobs(inputPath, pdfDoc, outDir, args);
+    let left = jobs.length;
+    const done = () => {
+      if (--left === 0) pdfDoc.destroy();
+    };
+    for (const job of jobs) yield { ...job, done };
   }
+}
+
+function printLog(log) {
+  for (const [stream, line] of log) (stream === "err" ? console.error : info)(line);
+}
+
+// Runs up to `concurrency` jobs at once and hands results to `emit` strictly in job order,
+// holding back any that finish early, so logs and reports don't depend on timing.
+async function runPool(jobs, concurrency, run, emit) {
+  const numbered = (async function* () {
+    let index = 0;
+    for await (const job of jobs) yield [index++, job];
+  })();
+  const finished = new Map();
+  let next = 0;
+  const worker = async () => {
+    for await (const [index, job] of numbered) {
+      finished.set(index, await run(job));
+      while (finished.has(next)) {
+        emit(finished.get(next));
+        finished.delete(next++);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+}
 
-  // No variant could fit above minQ => return best-clarity attempt (deterministic).
+function summarize(records, inputs, outDir, args) {
+  const done = records.filter((r) => r.status === "ok");
   return {
-    buf: bestClarity.buf,
-    usedQuality: bestClarity.q,
-    used: bestClarity.used,
-    pass: false
+    inputs: inputs.length,
+    outputs: records.length,
+    ok: done.length,
+    skip: records.filter((r) => r.status === "skip").length,
+    fail: records.filter((r) => r.status === "fail").length,
+    pass: done.filter((r) => r.pass).length,
+    failTarget: done.filter((r) => !r.pass).length,
+    beforeBytes: done.reduce((sum, r) => sum + (r.beforeBytes ?? 0), 0),
+    afterBytes: done.reduce((sum, r) => sum + r.afterBytes, 0),
+    targetBytes: args.maxSizeBytes,
+    outDir
   };
 }
 
+const REPORT_COLUMNS = Object.keys(newRecord({}));
+
+function csvField(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// JSON: { records, summary }. CSV: a header and one row per record (the summary is the
+// "Done." line on stdout/stderr).
+function formatReport(format, records, summary) {
+  if (format === "json") return `${JSON.stringify({ records, summary }, null, 2)}\n`;
+  const rows = records.map((r) => REPORT_COLUMNS.map((k) => csvField(r[k])).join(","));
+  return `${[REPORT_COLUMNS.join(","), ...rows].join("\n")}\n`;
+}
+
+async function fileHash(filePath) {
+  return createHash("sha256").update(await fs.readFile(filePath)).digest("hex");
+}
+
+// Flags that change the output. A manifest written with other values is started over, so
+// changing e.g. --fit-under reprocesses everything.
+function outputSettings(args) {
+  const keys = ["quality", "maxSizeBytes", "preserveResolution", "minLongEdge", "minDpi", "subsample", "progressive"];
+  keys.push("metadata", "minQuality", "minSsim", "search", "suffix", "dpi", "mode", "profile");
+  return Object.fromEntries(keys.map((k) => [k, args[k]]));
+}
+
+// { settings, files: { absolute input path: sha256 } }
+async function readManifest(manifestPath, settings) {
+  try {
+    const saved = JSON.parse(await fs.readFile(manifestPath, "utf8"));
+    if (saved?.files && JSON.stringify(saved.settings) === JSON.stringify(settings)) return saved;
+  } catch {
+    // first run, or unreadable: start over
+  }
+  return { settings, files: {} };
+}
+
+// --watch: existing files are checked first, then new and changed ones as they arrive. A file
+// waits until its size and mtime have held still for WATCH_SETTLE_MS (scanners and copies
+// write in bursts); settled files are compressed in batches through the job pool, and an
+// input is skipped when its content hash matches the manifest. Outputs are overwritten,
+// since the hash (not the output's existence) decides. Runs until Ctrl+C.
+async function watchInputs(args, outDir) {
+  const dirs = [];
+  for (const input of args.inputs) {
+    const abs = path.resolve(input);
+    const st = await fs.stat(abs).catch(() => null);
+    if (!st?.isDirectory()) die(`--watch needs input directories: ${input}`);
+    dirs.push(abs);
+  }
+  await ensureDir(outDir);
+  const jobArgs = { ...args, overwrite: true };
+  const manifestPath = path.join(outDir, WATCH_MANIFEST);
+  const manifest = await readManifest(manifestPath, outputSettings(args));
+  // Outputs may land inside a watched folder; never feed them back in.
+  const isOutput = (p) => p === outDir || p.startsWith(outDir + path.sep);
+
+  const queue = new Set();
+  let draining = null;
+  const processQueue = async () => {
+    while (queue.size) {
+      const batch = [...queue];
+      queue.clear();
+      const hashes = new Map();
+      for (const file of batch) {
+        const hash = await fileHash(file).catch(() => null);
+        if (!hash) continue; // gone again
+        if (manifest.files[file] === hash) info(`[skip] ${path.basename(file)} (unchanged)`);
+        else hashes.set(file, hash);
+      }
+      const failed = new Set();
+      await runPool(
+        allJobs([...hashes.keys()], outDir, jobArgs),
+        args.concurrency,
+        (job) => runJob(job, jobArgs),
+        ({ record, log }) => {
+          printLog(log);
+          if (record.status !== "ok") failed.add(record.input);
+        }
+      );
+      // Failed inputs stay out of the manifest so that the next change retries them.
+      for (const [file, hash] of hashes) if (!failed.has(file)) manifest.files[file] = hash;
+      await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+    }
+  };
+  const drain = () => {
+    draining ??= processQueue()
+      .catch((e) => console.error(`[fail] ${e?.message ? e.message : String(e)}`))
+      .finally(() => {
+        draining = null;
+        if (queue.size) drain();
+      });
+  };
+
+  const pending = new Map(); // path -> { timer, size, mtimeMs }
+  const settle = async (file) => {
+    const entry = pending.get(file);
+    const st = await fs.stat(file).catch(() => null);
+    // Deleted, or created empty and not written yet: the next event brings it back.
+    if (!st?.isFile() || st.size === 0) {
+      pending.delete(file);
+      return;
+    }
+    if (st.size !== entry.size || st.mtimeMs !== entry.mtimeMs) {
+      entry.size = st.size;
+      entry.mtimeMs = st.mtimeMs;
+      entry.timer = setTimeout(() => settle(file), WATCH_SETTLE_MS);
+      return;
+    }
+    pending.delete(file);
+    queue.add(file);
+    drain();
+  };
+  const touch = (file) => {
+    const entry = pending.get(file) ?? { size: -1, mtimeMs: -1 };
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => settle(file), WATCH_SETTLE_MS);
+    pending.set(file, entry);
+  };
+
+  const stop = new AbortController();
+  process.once("SIGINT", () => {
+    info("\nStopping after the current batch (Ctrl+C again to quit now)…");
+    stop.abort();
+  });
+  info(`Watching ${dirs.join(", ")} → ${outDir} (Ctrl+C to stop)`);
+  const watchers = dirs.map(async (dir) => {
+    try {
+      for await (const { filename } of fs.watch(dir, { recursive: args.recursive, signal: stop.signal })) {
+        if (!filename) continue;
+        const file = path.join(dir, filename);
+        if (!isSupportedFile(file) || isOutput(file)) continue;
+        if (!args.recursive && path.dirname(file) !== dir) continue;
+        touch(file);
+      }
+    } catch (e) {
+      if (e?.name !== "AbortError") throw e;
+    }
+  });
+  for (const dir of dirs) {
+    for (const file of await scanDir(dir, args.recursive)) if (!isOutput(file)) touch(file);
+  }
+
+  await Promise.all(watchers);
+  for (const entry of pending.values()) clearTimeout(entry.timer);
+  await draining;
+  info("Stopped.");
+}
+
 async function main() {
   const args = parseArgs(process.argv.slice(2));
   if (args.help) {
@@ -320,58 +1033,39 @@ async function main() {
     die("\nMissing input files/directories.");
   }
   if (!args.compress) die("Nothing to do: --no-compress was set.");
-  if (args.preserveResolution !== true) die("This tool only supports --preserve-resolution.");
+
+  if (args.watch) {
+    await watchInputs(args, path.resolve(args.outDir));
+    return;
+  }
 
   const inputs = await listInputs(args.inputs, args.recursive);
-  if (!inputs.length) die("No .jpg/.jpeg inputs found.");
+  if (!inputs.length) die(`No ${[...IMAGE_EXTENSIONS, ".pdf"].join("/")} inputs found.`);
 
   const outDir = path.resolve(args.outDir);
   await ensureDir(outDir);
+  if (args.report && !args.reportFile) info = (line) => console.error(line);
 
-  let ok = 0;
-  let fail = 0;
+  const records = [];
+  await runPool(
+    allJobs(inputs, outDir, args),
+    args.concurrency,
+    (job) => runJob(job, args),
+    ({ record, log }) => {
+      printLog(log);
+      records.push(record);
+    }
+  );
 
-  for (const inputPath of inputs) {
-    const outPath = outputPathFor(inputPath, outDir, args.suffix);
-    try {
-      if (!args.overwrite) {
-        try {
-          await fs.stat(outPath);
-          console.log(`[skip] ${path.basename(outPath)} (exists)`);
-          continue;
-        } catch {
-          // not exists
-        }
-      }
+  const summary = summarize(records, inputs, outDir, args);
+  if (summary.fail) process.exitCode = 2;
+  info(`\nDone. ok=${summary.ok} fail=${summary.fail} outDir=${outDir}`);
 
-      const before = (await fs.stat(inputPath)).size;
-      const { buf, usedQuality, used, pass } = await compressWithTarget(inputPath, args);
-      const after = buf.length;
-      await fs.writeFile(outPath, buf);
-
-      const ratio = before > 0 ? Math.round((1 - after / before) * 100) : 0;
-      const warn6mb = after > SIX_MB ? "  [WARN >6MB]" : "";
-      const warnTarget = args.maxSizeBytes && after > args.maxSizeBytes ? "  [FAIL target]" : "";
-      const usedFlags = used
-        ? ` subsample=${used.subsample} progressive=${used.progressive ? "on" : "off"} metadata=${
-            used.stripMetadata ? "stripped" : "kept"
-          }`
-        : "";
-      console.log(
-        `[ok] ${path.basename(inputPath)}  ${human(before)} → ${human(after)}  (-${ratio}%)  q=${usedQuality.toFixed(2)}${
-          pass ? "" : "  [BEST-CLARITY]"
-        }${warn6mb}${warnTarget}${usedFlags}`
-      );
-      ok++;
-    } catch (e) {
-      fail++;
-      console.error(`[fail] ${path.basename(inputPath)}: ${e?.message ? e.message : String(e)}`);
-    }
+  if (args.report) {
+    const report = formatReport(args.report, records, summary);
+    if (args.reportFile) await fs.writeFile(path.resolve(args.reportFile), report);
+    else process.stdout.write(report);
   }
-
-  if (fail) process.exitCode = 2;
-  console.log(`\nDone. ok=${ok} fail=${fail} outDir=${outDir}`);
 }
 
 main().catch((e) => die(e?.stack || String(e)));
-
@@ -5,6 +5,14 @@ export default defineConfig({
   build: {
     outDir: "docs"
   },
+  worker: {
+    // The conversion worker loads pdf.js, which needs ES module output.
+    format: "es"
+  },
+  optimizeDeps: {
+    // mozjpeg finds its .wasm next to its own module; pre-bundling would move the module away.
+    exclude: ["@jsquash/jpeg"]
+  },
   server: {
     port: 5173,
     strictPort: false,